@@ -0,0 +1,52 @@
+import moment from "moment-timezone";
+
+// Activity logs hold one entry per day with the individual sessions in
+// `value`: { name, timeLogged (minutes), calories, caloriesBurnt }. Sessions
+// with no time logged are placeholders left behind by the app and are
+// ignored everywhere.
+
+const ACTIVITY_COLORS = ["#00B050", "#0047FF", "#FFA63E", "#9C6ADE", "#FA114F", "#17BECF", "#8C564B", "#636363"];
+
+export function activityColor(index) {
+    return ACTIVITY_COLORS[index % ACTIVITY_COLORS.length];
+}
+
+// Every session with time logged, as { name, minutes, calories, date } where
+// `date` is the measurementDate of the log it belongs to.
+export function activitySessions(logs) {
+    return logs.flatMap(log => (log.value || [])
+        .filter(session => session.timeLogged > 0)
+        .map(session => ({
+            name: session.name,
+            minutes: session.timeLogged,
+            calories: session.caloriesBurnt || 0,
+            date: log.measurementDate
+        })));
+}
+
+// Totals per activity type, most minutes first:
+// [{ name, sessions, minutes, calories }].
+export function activityBreakdown(sessions) {
+    const byName = new Map();
+    for (const session of sessions) {
+        const entry = byName.get(session.name) || { name: session.name, sessions: 0, minutes: 0, calories: 0 };
+        entry.sessions += 1;
+        entry.minutes += session.minutes;
+        entry.calories += session.calories;
+        byName.set(session.name, entry);
+    }
+    return [...byName.values()].sort((a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name));
+}
+
+// Calories burnt per day and activity type: a Map of day start (ms, in
+// `timezone`) to a Map of activity name to calories.
+export function dailyActivityCalories(sessions, timezone) {
+    const days = new Map();
+    for (const session of sessions) {
+        const day = moment.tz(session.date, timezone).startOf("day").valueOf();
+        if (!days.has(day)) days.set(day, new Map());
+        const totals = days.get(day);
+        totals.set(session.name, (totals.get(session.name) || 0) + session.calories);
+    }
+    return days;
+}
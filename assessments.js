@@ -0,0 +1,381 @@
+import { answerUnit, convertUnit } from "./units.js";
+import { bmi, isPlausibleBmi } from "./weight.js";
+import { COLORS } from "./palette.js";
+
+// Scores nutrition assessments from their answers instead of trusting the
+// stored `score`. Each question says how it counts through `computationKey`:
+//
+//   MAP          the mappedOptions points of every selected option; a question
+//                without mappedOptions scores 1 per selected condition, as on
+//                the PG-SGA disease worksheet
+//   BMI          current weight and height; the BMI is scored by the tool
+//   WL           a past weight; the loss since then is scored by the tool
+//   SUBTYPE-SUM  the global rating ("0" to "3+") of its sub-questions
+//   NONE         not scored
+//
+// Points are grouped by the question's assessmentSubType for the breakdown.
+
+// How each tool scores BMI and weight loss (percentages of the past weight).
+// SCREENING is MUST; PG-SGA uses the 1-month loss when it was answered and
+// the 6-month loss otherwise, and does not score BMI.
+const TOOLS = {
+    SCREENING: {
+        bmiPoints: value => (value < 18.5 ? 2 : value <= 20 ? 1 : 0),
+        weightLossPoints: ({ sixMonths }) => {
+            if (sixMonths == null) return null;
+            return sixMonths > 10 ? 2 : sixMonths >= 5 ? 1 : 0;
+        }
+    },
+    "PG-SGA": {
+        weightLossPoints: ({ oneMonth, sixMonths }) => {
+            if (oneMonth != null) return scoreLoss(oneMonth, [10, 5, 3, 2]);
+            if (sixMonths != null) return scoreLoss(sixMonths, [20, 10, 6, 2]);
+            return null;
+        }
+    }
+};
+
+// 4 points at or above the first threshold, down to 0 below the last.
+function scoreLoss(percent, thresholds) {
+    const index = thresholds.findIndex(threshold => percent >= threshold);
+    return index === -1 ? 0 : thresholds.length - index;
+}
+
+// Past-weight questions by questionType, and the weight loss each measures.
+const WEIGHT_AGO = {
+    WEIGHT_ONE_MONTH_AGO: { key: "oneMonth", label: "1 month" },
+    WEIGHT_SIX_MONTHS_AGO: { key: "sixMonths", label: "6 months" }
+};
+
+function answers(question) {
+    return (question.value || []).map(value => String(value).trim()).filter(value => value !== "");
+}
+
+// The first answer of a weight or height question in `canonical` units,
+// read in the unit answerUnit gives it; null when unusable, including answers
+// without a unit.
+function measurement(question, canonical) {
+    const value = parseFloat(answers(question)[0]);
+    const measured = answerUnit(question);
+    return value > 0 && measured?.unit ? convertUnit(measured.quantity, value, measured.unit, canonical) : null;
+}
+
+// Weight (kg), height (cm), BMI and percentage weight loss over one and six
+// months from an assessment's answers; anything not answered is null, and so
+// is a BMI outside the plausible range.
+export function assessmentMeasurements(log) {
+    const byType = type => (log.assessment || []).find(question => question.questionType === type);
+    const weightOf = type => (byType(type) ? measurement(byType(type), "kg") : null);
+    const weight = weightOf("CURRENT_WEIGHT");
+    const height = byType("CURRENT_HEIGHT") ? measurement(byType("CURRENT_HEIGHT"), "cm") : null;
+    const weightLoss = {};
+    for (const [type, { key }] of Object.entries(WEIGHT_AGO)) {
+        const past = weightOf(type);
+        weightLoss[key] = weight != null && past != null ? ((past - weight) / past) * 100 : null;
+    }
+    const value = weight != null && height != null ? bmi(weight, height) : null;
+    return { weight, height, bmi: isPlausibleBmi(value) ? value : null, weightLoss };
+}
+
+// Whether a question is printed with the questionnaire. Questions marked
+// hiddenFromUI are inputs to a computed value and are only shown through
+// derivedValues().
+export function isShownInBody(question) {
+    return question.hiddenFromUI !== true;
+}
+
+// Values computed from an assessment's answers, for display:
+// [{ key, label, value, inputs }] where `inputs` are the questions it was
+// computed from. BMI comes from the BMI questions (`computationKey` BMI) and a
+// weight loss percentage from each past-weight question (`computationKey` WL,
+// the period from its questionType); negative losses are gains.
+export function derivedValues(log) {
+    const questions = log.assessment || [];
+    const measured = assessmentMeasurements(log);
+    const values = [];
+    const bmiInputs = questions.filter(question => question.computationKey === "BMI");
+    if (bmiInputs.length && measured.bmi != null) {
+        values.push({ key: "bmi", label: "BMI", value: measured.bmi, inputs: bmiInputs });
+    }
+    const current = questions.find(question => question.questionType === "CURRENT_WEIGHT");
+    for (const question of questions) {
+        const period = question.computationKey === "WL" && WEIGHT_AGO[question.questionType];
+        const loss = period ? measured.weightLoss[period.key] : null;
+        if (loss != null) values.push({ key: period.key, label: period.label, value: loss, inputs: [question, current] });
+    }
+    return values;
+}
+
+// Points for one MAP question.
+function mappedPoints(question) {
+    const selected = answers(question);
+    if (!question.mappedOptions) return selected.filter(value => !/^none$/i.test(value)).length;
+    return selected.reduce((sum, value) => sum + (question.mappedOptions[value] || 0), 0);
+}
+
+// Points for one SUB question: its global rating, or its highest rating when
+// none is marked global.
+function subQuestionPoints(question) {
+    const ratings = (question.subQuestions || []).map(sub => ({
+        global: sub.isGlobal,
+        value: parseInt(answers(sub)[0], 10) || 0
+    }));
+    const global = ratings.find(rating => rating.global);
+    return global ? global.value : Math.max(0, ...ratings.map(rating => rating.value));
+}
+
+function subTypeOf(question) {
+    return question.assessmentSubType || "GENERAL";
+}
+
+// Recomputes a SCREENING or PG-SGA score; null for other assessment types.
+// Returns
+//
+//   total         recomputed score
+//   contributions [{ label, subType, points }], one per scored question, with
+//                 BMI and weight loss each counted once
+//   bySubType     [{ subType, points }] in question order
+//   stored        the stored score (undefined when there is none)
+//   agrees        false when a stored score differs from the recomputed one
+export function scoreAssessment(log) {
+    const tool = TOOLS[log.assessmentType];
+    if (!tool) return null;
+    const questions = log.assessment || [];
+    const measured = assessmentMeasurements(log);
+    const contributions = [];
+
+    const bmiQuestion = questions.find(question => question.computationKey === "BMI");
+    if (tool.bmiPoints && bmiQuestion && measured.bmi != null) {
+        contributions.push({ label: "BMI", subType: subTypeOf(bmiQuestion), points: tool.bmiPoints(measured.bmi) });
+    }
+    const lossPoints = tool.weightLossPoints(measured.weightLoss);
+    const lossQuestion = questions.find(question => question.computationKey === "WL");
+    if (lossQuestion && lossPoints != null) {
+        contributions.push({ label: "Weight loss", subType: subTypeOf(lossQuestion), points: lossPoints });
+    }
+    for (const question of questions) {
+        if (question.computationKey === "MAP") {
+            contributions.push({ label: question.question, subType: subTypeOf(question), points: mappedPoints(question) });
+        } else if (question.computationKey === "SUBTYPE-SUM") {
+            contributions.push({ label: question.question, subType: subTypeOf(question), points: subQuestionPoints(question) });
+        }
+    }
+
+    const bySubType = new Map();
+    for (const question of questions) {
+        const subType = subTypeOf(question);
+        if (!bySubType.has(subType)) bySubType.set(subType, 0);
+    }
+    for (const { subType, points } of contributions) bySubType.set(subType, bySubType.get(subType) + points);
+
+    const total = contributions.reduce((sum, { points }) => sum + points, 0);
+    return {
+        total,
+        contributions,
+        bySubType: [...bySubType].map(([subType, points]) => ({ subType, points })),
+        stored: log.score,
+        agrees: typeof log.score !== "number" || log.score === total
+    };
+}
+
+// GLIM criteria from a GLIM assessment, with reduced intake taken from the
+// FOOD_INTAKE answers of the other assessments it was completed with
+// (`related`). `age` raises the BMI cut-offs from 70 years. Returns
+//
+//   phenotypic, etiologic  [{ key, label, met, severe, detail }]
+//   malnutrition  at least one phenotypic and one etiologic criterion met
+//   severity      "severe" (stage 2), "moderate" (stage 1) or null
+//   stored        the stored riskLevel
+//   agrees        false when the stored riskLevel names another outcome
+export function glimCriteria(log, { age, related = [] } = {}) {
+    const questions = log.assessment || [];
+    const measured = assessmentMeasurements(log);
+    const elderly = Number(age) >= 70;
+    const answered = subType => questions.find(question => question.assessmentSubType === subType && answers(question).length);
+
+    const loss = measured.weightLoss.sixMonths;
+    const lowBmi = elderly ? 22 : 20;
+    const veryLowBmi = elderly ? 20 : 18.5;
+    const muscle = answered("MUSCLE_MASS");
+    const inflammation = answered("INFLAMMATION");
+    const intake = related
+        .flatMap(other => other.assessment || [])
+        .filter(question => question.assessmentSubType === "FOOD_INTAKE" && question.computationKey === "MAP")
+        .filter(question => mappedPoints(question) > 0);
+
+    const phenotypic = [
+        {
+            key: "weightLoss",
+            label: "Weight loss",
+            met: loss != null && loss > 5,
+            severe: loss != null && loss > 10,
+            detail: loss != null ? `${loss.toFixed(1)}% over 6 months` : "not answered"
+        },
+        {
+            key: "lowBmi",
+            label: "Low BMI",
+            met: measured.bmi != null && measured.bmi < lowBmi,
+            severe: measured.bmi != null && measured.bmi < veryLowBmi,
+            detail: measured.bmi != null ? `BMI ${measured.bmi.toFixed(1)} (below ${lowBmi} counts)` : "not answered"
+        },
+        {
+            key: "muscleMass",
+            label: "Reduced muscle mass",
+            met: Boolean(muscle),
+            severe: Boolean(muscle) && mappedPoints(muscle) > 0,
+            detail: muscle ? answers(muscle).join(", ") : "not assessed"
+        }
+    ];
+    const etiologic = [
+        {
+            key: "intake",
+            label: "Reduced food intake",
+            met: intake.length > 0,
+            severe: false,
+            detail: intake.length ? intake.map(question => answers(question).join(", ")).join("; ") : "not reported"
+        },
+        {
+            key: "inflammation",
+            label: "Inflammation / disease burden",
+            met: Boolean(inflammation),
+            severe: false,
+            detail: inflammation ? answers(inflammation).join(", ") : "not assessed"
+        }
+    ];
+
+    const malnutrition = phenotypic.some(c => c.met) && etiologic.some(c => c.met);
+    const severity = malnutrition ? (phenotypic.some(c => c.met && c.severe) ? "severe" : "moderate") : null;
+    const stored = log.riskLevel;
+    const storedSeverity = /severe/i.test(stored || "") ? "severe" : /moderate/i.test(stored || "") ? "moderate" : null;
+    return {
+        phenotypic,
+        etiologic,
+        malnutrition,
+        severity,
+        stored,
+        agrees: !stored || storedSeverity === severity
+    };
+}
+
+// "FOOD_INTAKE" -> "Food intake"
+export function subTypeLabel(subType) {
+    const words = subType.toLowerCase().replace(/[_-]+/g, " ");
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Risk levels as the tools word them, grouped for colouring; `pattern` is
+// tried from the most severe down.
+export const RISK_GROUPS = [
+    { key: "high", label: "High risk / severe", pattern: /high|severe|malnutrition|critical/i, color: COLORS.outlier },
+    { key: "moderate", label: "Moderate", pattern: /moderate|medium|mild/i, color: COLORS.borderline },
+    { key: "low", label: "Low risk", pattern: /low|normal|well|no /i, color: COLORS.normal }
+];
+
+export function riskGroup(riskLevel) {
+    return RISK_GROUPS.find(group => group.pattern.test(riskLevel || "")) || null;
+}
+
+const TYPE_COLORS = ["#0047FF", "#9C6ADE", "#17BECF", "#8C564B", "#636363"];
+
+export function assessmentTypeColor(index) {
+    return TYPE_COLORS[index % TYPE_COLORS.length];
+}
+
+// Every dated sub-assessment by assessmentType, oldest first:
+// [{ type, entries: [{ date, score, riskLevel, log }] }]. The score is the
+// stored one, or the recomputed one when none was stored (null for GLIM).
+export function assessmentHistory(assessments) {
+    const byType = new Map();
+    const dated = assessments.filter(assessment => assessment.createdAt != null)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    for (const assessment of dated) {
+        for (const log of assessment.userAssessmentLog || []) {
+            const score = typeof log.score === "number" ? log.score : (scoreAssessment(log)?.total ?? null);
+            if (!byType.has(log.assessmentType)) byType.set(log.assessmentType, []);
+            byType.get(log.assessmentType).push({ date: assessment.createdAt, score, riskLevel: log.riskLevel, log });
+        }
+    }
+    return [...byType].map(([type, entries]) => ({ type, entries }));
+}
+
+// The same sub-assessment type from the latest assessment dated before
+// `assessment`, as { date, log }; null when there is none.
+export function previousAssessmentLog(assessments, assessment, type) {
+    if (assessment.createdAt == null) return null;
+    const earlier = assessments
+        .filter(other => other.createdAt != null && other.createdAt < assessment.createdAt)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    for (const other of earlier) {
+        const log = (other.userAssessmentLog || []).find(candidate => candidate.assessmentType === type);
+        if (log) return { date: other.createdAt, log };
+    }
+    return null;
+}
+
+// Questions are matched across assessments by assessmentQuestionId, or by
+// their wording when they have none.
+function questionKey(question) {
+    return question.assessmentQuestionId || `${question.questionType}:${question.question}`;
+}
+
+function answerSignature(question) {
+    const values = question.questionType === "SUB"
+        ? (question.subQuestions || []).map(sub => `${sub.question}=${answers(sub).join(",")}`)
+        : answers(question);
+    return values.sort().join("|");
+}
+
+// The questions of `log` whose answers differ from the same question in
+// `previous`: a Map of question to the previous question. Questions that were
+// not asked before are left out.
+export function changedAnswers(previous, log) {
+    const before = new Map((previous.assessment || []).map(question => [questionKey(question), question]));
+    const changed = new Map();
+    for (const question of log.assessment || []) {
+        const old = before.get(questionKey(question));
+        if (old && answerSignature(old) !== answerSignature(question)) changed.set(question, old);
+    }
+    return changed;
+}
+
+// Whether any assessment has a question shown in its body whose answer
+// changed since the previous assessment of the same type.
+export function hasChangedAnswers(assessments) {
+    return assessments.some(assessment => (assessment.userAssessmentLog || []).some(log => {
+        const previous = previousAssessmentLog(assessments, assessment, log.assessmentType);
+        return previous && [...changedAnswers(previous.log, log).keys()].some(isShownInBody);
+    }));
+}
+
+// Who answers a question, from its `userType`; questions without one are the
+// patient's.
+export const RESPONDENTS = [
+    { key: "PATIENT", label: "Patient-reported" },
+    { key: "PROVIDER", label: "Provider-reported" }
+];
+
+function respondentOf(question) {
+    return (question.userType || "PATIENT").toUpperCase();
+}
+
+// Questions by respondent, patient first, keeping their order within each
+// group: [{ key, label, questions }]. Empty groups are left out.
+export function groupByRespondent(questions) {
+    const keys = [...new Set([...RESPONDENTS.map(({ key }) => key), ...questions.map(respondentOf)])];
+    return keys
+        .map(key => ({
+            key,
+            label: RESPONDENTS.find(respondent => respondent.key === key)?.label || subTypeLabel(key),
+            questions: questions.filter(question => respondentOf(question) === key)
+        }))
+        .filter(group => group.questions.length);
+}
+
+// The assessmentSubTypes (PHYSICAL-EXAM, MUSCLE_MASS, ...) whose questions
+// are all answered by the provider.
+export function providerOnlySubTypes(questions) {
+    const subTypes = new Set(questions.map(subTypeOf));
+    return new Set([...subTypes].filter(subType => (
+        questions.filter(question => subTypeOf(question) === subType).every(question => respondentOf(question) === "PROVIDER")
+    )));
+}
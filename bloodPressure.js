@@ -0,0 +1,51 @@
+// Clinical blood pressure staging. A reading is classified from systolic and
+// diastolic together: it falls in the most severe category that either value
+// reaches.
+
+export const BP_GUIDELINES = {
+    aha: {
+        name: "AHA/ACC 2017",
+        // Most severe first; the last entry is the fallback.
+        categories: [
+            { key: "crisis", label: "Hypertensive Crisis", color: "#8B0000", test: (s, d) => s > 180 || d > 120 },
+            { key: "stage2", label: "Stage 2 Hypertension", color: "#FA114F", test: (s, d) => s >= 140 || d >= 90 },
+            { key: "stage1", label: "Stage 1 Hypertension", color: "#FFA63E", test: (s, d) => s >= 130 || d >= 80 },
+            { key: "elevated", label: "Elevated", color: "#FFD700", test: s => s >= 120 },
+            { key: "normal", label: "Normal", color: "#00B050", test: () => true }
+        ]
+    },
+    esc: {
+        name: "ESC/ESH 2018",
+        categories: [
+            { key: "grade3", label: "Grade 3 Hypertension", color: "#8B0000", test: (s, d) => s >= 180 || d >= 110 },
+            { key: "grade2", label: "Grade 2 Hypertension", color: "#FA114F", test: (s, d) => s >= 160 || d >= 100 },
+            { key: "grade1", label: "Grade 1 Hypertension", color: "#FFA63E", test: (s, d) => s >= 140 || d >= 90 },
+            { key: "highNormal", label: "High Normal", color: "#FFD700", test: (s, d) => s >= 130 || d >= 85 },
+            { key: "normal", label: "Normal", color: "#7CC242", test: (s, d) => s >= 120 || d >= 80 },
+            { key: "optimal", label: "Optimal", color: "#00B050", test: () => true }
+        ]
+    }
+};
+
+export const DEFAULT_BP_GUIDELINE = "aha";
+
+export function getBpGuideline(key = DEFAULT_BP_GUIDELINE) {
+    return BP_GUIDELINES[key];
+}
+
+export function classifyBloodPressure(systolic, diastolic, guideline = getBpGuideline()) {
+    return guideline.categories.find(category => category.test(systolic, diastolic));
+}
+
+// Counts readings per category, returned mildest first with every category of
+// the guideline present: [{ category, count, share }], share being 0-1.
+export function categoryDistribution(logs, guideline = getBpGuideline()) {
+    const counts = new Map(guideline.categories.map(category => [category, 0]));
+    for (const log of logs) {
+        const category = classifyBloodPressure(log.systolic, log.diastolic, guideline);
+        counts.set(category, counts.get(category) + 1);
+    }
+    return [...counts]
+        .map(([category, count]) => ({ category, count, share: logs.length ? count / logs.length : 0 }))
+        .reverse();
+}
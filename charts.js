@@ -0,0 +1,75 @@
+import 'chartjs-adapter-moment';
+import { ChartJSNodeCanvas } from "chartjs-node-canvas";
+import { InputValidationError, ChartRenderError } from "./errors.js";
+import { createLimiter } from "./limiter.js";
+import { COLORS } from "./palette.js";
+
+// Chart rendering shared by every section: the canvas, the render limiter and
+// the palette and axis settings the charts have in common.
+
+export { COLORS };
+
+export const CHART_WIDTH = 550;
+
+const CANVAS = { width: 800, height: 400 };
+const chartJSNodeCanvas = new ChartJSNodeCanvas(CANVAS);
+
+// Canvas rendering is CPU and memory heavy; cap how many charts render at once
+// across all reports generated by this process.
+const chartLimiter = createLimiter(2);
+
+export function setChartConcurrency(concurrency) {
+    if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw new InputValidationError("Chart concurrency must be a positive integer");
+    }
+    chartLimiter.setConcurrency(concurrency);
+}
+
+export function getChartRenderStats() {
+    return chartLimiter.stats();
+}
+
+export async function renderChart(configuration) {
+    try {
+        return await chartLimiter(() => chartJSNodeCanvas.renderToBuffer(configuration));
+    } catch (error) {
+        throw new ChartRenderError(`Failed to render ${configuration.type} chart: ${error.message}`, { cause: error });
+    }
+}
+
+// x-axis for charts of timestamped readings ("reading") or daily values ("day").
+export function timeAxis(granularity = "day") {
+    const time = granularity === "reading"
+        ? { tooltipFormat: "DD MMM YYYY, HH:mm", displayFormats: { hour: "DD MMM, HH:mm", day: "DD MMM" } }
+        : { tooltipFormat: "DD MMM YYYY", displayFormats: { day: "DD MMM" } };
+    return { type: "time", time, title: { display: true, text: "Date" } };
+}
+
+// Traffic-light colour for a value against lowBorderline/normal/highBorderline
+// bands; anything outside the borderline bands is an outlier.
+export function classifyBands(value, bands) {
+    const { lowBorderline, normal, highBorderline } = bands || {};
+    if (!lowBorderline || !normal || !highBorderline) return COLORS.outlier;
+    if (value < lowBorderline.min || value > highBorderline.max) return COLORS.outlier;
+    const inLowBorder = (value >= lowBorderline.min && value <= lowBorderline.max);
+    const inHighBorder = (value >= highBorderline.min && value <= highBorderline.max);
+    if (inLowBorder || inHighBorder) return COLORS.borderline;
+    return COLORS.normal;
+}
+
+// Places a rendered chart centred on the page, moving to a new page when it
+// would run past the bottom margin. PDFKit does not advance `y` past images
+// placed with an explicit `x`, so the flow position is moved below it here.
+export function drawChart(doc, image) {
+    const height = CHART_WIDTH * CANVAS.height / CANVAS.width;
+    if (doc.y + height > doc.page.maxY()) doc.addPage();
+    const top = doc.y;
+    doc.image(image, {
+        width: CHART_WIDTH,
+        x: (doc.page.width - CHART_WIDTH) / 2,
+        y: top
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = top + height;
+    doc.moveDown(3);
+}
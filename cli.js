@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import moment from "moment-timezone";
+import { generatePDF, InputValidationError, ReportError, DEFAULT_DEDUPLICATION } from "./report.js";
+import { vitalSchemas, sectionSchemas } from "./schemas.js";
+import { BP_GUIDELINES } from "./bloodPressure.js";
+import { STEP_POLICIES, DEFAULT_STEP_SOURCES } from "./steps.js";
+import { UNIT_SYSTEMS, validateUnits } from "./units.js";
+
+const TIMEFRAMES = [30, 90];
+const VITALS = Object.keys(vitalSchemas);
+const SECTIONS = Object.keys(sectionSchemas);
+
+const USAGE = `Usage: health-report [bundle.json] [options]
+
+Renders a patient health report PDF. The bundle holds
+{ patient, vitals: { temperature, ... }, sections: { nutrition, ... } };
+individual datasets can also be given (or overridden) one file each.
+Settings in the bundle (timezone, timeframeDays, from, to, asOf, units, ...)
+apply unless the matching flag is given; --timeframe replaces the bundle's
+from/to window.
+
+Options:
+  --patient <file>       patient info JSON ({ name, age })
+  --timeframe <days>     ${TIMEFRAMES.join(" or ")} (default: the bundle's, else 90);
+                         not with --from
+  --timezone <zone>      IANA timezone, e.g. Asia/Kolkata
+  --from <date>          first day covered (YYYY-MM-DD)
+  --to <date>            last day covered (YYYY-MM-DD)
+  --as-of <date>         report date; the timeframe ends here (default: --to or today)
+  --sections <list>      comma-separated datasets to include (default: all given)
+  --bp-guideline <set>   blood pressure staging: ${Object.keys(BP_GUIDELINES).join(" or ")} (default aha)
+  --exclude-implausible  leave readings flagged as implausible out of statistics
+  --source-priority <list>
+                         comma-separated sources, preferred first, when merging
+                         duplicate readings (default ${DEFAULT_DEDUPLICATION.sourcePriority.join(",")})
+  --dedupe-tolerance <s> seconds apart readings may be to count as duplicates
+                         (default ${DEFAULT_DEDUPLICATION.toleranceSeconds})
+  --keep-duplicates      do not merge duplicate readings
+  --step-policy <policy> daily steps when several sources report them:
+                         ${Object.keys(STEP_POLICIES).join(", ")} (default preferred)
+  --step-sources <list>  comma-separated step sources, preferred first
+                         (default ${DEFAULT_STEP_SOURCES.sources.join(",")})
+  --units <list>         display units: ${Object.keys(UNIT_SYSTEMS).join(" or ")} and/or
+                         quantity=unit pairs, e.g. metric,glucose=mmol/L
+  --out <file>           output path, "-" for stdout
+                         (default: patient_report_<timestamp>.pdf)
+  -h, --help             show this help
+
+Dataset files:
+${[...VITALS, ...SECTIONS].map(name => `  --${toFlag(name)} <file>`).join("\n")}
+`;
+
+class UsageError extends Error {}
+
+// heartRate -> heart-rate
+function toFlag(name) {
+    return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+// "metric,glucose=mmol/L" -> { system: "metric", glucose: "mmol/L" }
+function parseUnits(list) {
+    const units = {};
+    for (const item of list.split(",").map(s => s.trim()).filter(Boolean)) {
+        const [quantity, unit] = item.includes("=") ? item.split("=").map(s => s.trim()) : ["system", item];
+        units[quantity] = unit;
+    }
+    try {
+        validateUnits(units);
+    } catch (error) {
+        throw new UsageError(`--units: ${error.message}`);
+    }
+    return units;
+}
+
+function toUnitsObject(units) {
+    return typeof units === "string" ? { system: units } : units;
+}
+
+function parseCliArgs(argv) {
+    const options = {
+        patient: { type: "string" },
+        timeframe: { type: "string" },
+        timezone: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        "as-of": { type: "string" },
+        sections: { type: "string" },
+        "bp-guideline": { type: "string" },
+        "exclude-implausible": { type: "boolean" },
+        "source-priority": { type: "string" },
+        "dedupe-tolerance": { type: "string" },
+        "keep-duplicates": { type: "boolean" },
+        "step-policy": { type: "string" },
+        "step-sources": { type: "string" },
+        units: { type: "string" },
+        out: { type: "string" },
+        help: { type: "boolean", short: "h" }
+    };
+    for (const name of [...VITALS, ...SECTIONS]) {
+        options[toFlag(name)] = { type: "string" };
+    }
+    try {
+        return parseArgs({ args: argv, options, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+// Merges the bundle (if any) with the per-dataset files and applies --sections.
+function buildReportOptions({ values, positionals }) {
+    if (positionals.length > 1) {
+        throw new UsageError("Only one bundle file can be given");
+    }
+    const bundle = positionals.length ? readJson(positionals[0]) : {};
+    const patient = values.patient ? readJson(values.patient) : bundle.patient;
+    const vitals = { ...bundle.vitals };
+    const sections = { ...bundle.sections };
+    for (const name of VITALS) {
+        if (values[toFlag(name)]) vitals[name] = readJson(values[toFlag(name)]);
+    }
+    for (const name of SECTIONS) {
+        if (values[toFlag(name)]) sections[name] = readJson(values[toFlag(name)]);
+    }
+
+    if (values.sections) {
+        const wanted = values.sections.split(",").map(s => s.trim()).filter(Boolean);
+        const unknown = wanted.filter(name => !VITALS.includes(name) && !SECTIONS.includes(name));
+        if (unknown.length) {
+            throw new UsageError(`Unknown section(s): ${unknown.join(", ")}`);
+        }
+        for (const name of VITALS) if (!wanted.includes(name)) delete vitals[name];
+        for (const name of SECTIONS) if (!wanted.includes(name)) delete sections[name];
+    }
+
+    const timeframeDays = values.timeframe !== undefined ? Number(values.timeframe) : bundle.timeframeDays;
+    if (values.timeframe !== undefined && !TIMEFRAMES.includes(timeframeDays)) {
+        throw new UsageError(`--timeframe must be ${TIMEFRAMES.join(" or ")}`);
+    }
+    if (values.timeframe !== undefined && values.from !== undefined) {
+        throw new UsageError("--timeframe and --from cannot be combined");
+    }
+    // A timeframe counts back from --to, --as-of or today, not the bundle's window.
+    const window = values.timeframe !== undefined ? {} : bundle;
+    if (values.timezone && !moment.tz.zone(values.timezone)) {
+        throw new UsageError(`Unknown timezone: ${values.timezone}`);
+    }
+    const guidelines = { ...bundle.guidelines };
+    if (values["bp-guideline"]) {
+        if (!BP_GUIDELINES[values["bp-guideline"]]) {
+            throw new UsageError(`--bp-guideline must be ${Object.keys(BP_GUIDELINES).join(" or ")}`);
+        }
+        guidelines.bloodPressure = values["bp-guideline"];
+    }
+    let deduplication = bundle.deduplication;
+    if (values["keep-duplicates"]) {
+        deduplication = false;
+    } else if (values["source-priority"] || values["dedupe-tolerance"]) {
+        deduplication = { ...deduplication };
+        if (values["source-priority"]) {
+            deduplication.sourcePriority = values["source-priority"].split(",").map(s => s.trim()).filter(Boolean);
+        }
+        if (values["dedupe-tolerance"]) {
+            const seconds = Number(values["dedupe-tolerance"]);
+            if (!(seconds >= 0)) {
+                throw new UsageError("--dedupe-tolerance must be a number of seconds");
+            }
+            deduplication.toleranceSeconds = seconds;
+        }
+    }
+    const stepSources = { ...bundle.stepSources };
+    if (values["step-policy"]) {
+        if (!STEP_POLICIES[values["step-policy"]]) {
+            throw new UsageError(`--step-policy must be ${Object.keys(STEP_POLICIES).join(", ")}`);
+        }
+        stepSources.policy = values["step-policy"];
+    }
+    if (values["step-sources"]) {
+        stepSources.sources = values["step-sources"].split(",").map(s => s.trim()).filter(Boolean);
+    }
+    if (!patient) {
+        throw new UsageError("Patient info is required (bundle `patient` or --patient)");
+    }
+
+    let output;
+    if (values.out === "-") {
+        // process.stdout never emits "finish", so collect the bytes instead.
+        output = { type: "buffer" };
+    } else if (values.out) {
+        output = path.resolve(values.out);
+    }
+
+    return {
+        patient,
+        vitals,
+        sections,
+        timeframeDays,
+        timezone: values.timezone ?? bundle.timezone,
+        from: values.from ?? window.from,
+        to: values.to ?? window.to,
+        asOf: values["as-of"] ?? bundle.asOf,
+        guidelines,
+        dataQuality: values["exclude-implausible"]
+            ? { ...bundle.dataQuality, excludeFromStats: true }
+            : bundle.dataQuality,
+        deduplication,
+        stepSources,
+        units: values.units ? { ...toUnitsObject(bundle.units), ...parseUnits(values.units) } : bundle.units,
+        output
+    };
+}
+
+export async function main(argv = process.argv.slice(2)) {
+    try {
+        const args = parseCliArgs(argv);
+        if (args.values.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        const result = await generatePDF(buildReportOptions(args));
+        if (Buffer.isBuffer(result)) {
+            process.stdout.write(result);
+        } else {
+            console.error(`PDF generated successfully: ${result}`);
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        if (error instanceof InputValidationError) {
+            console.error(error.message);
+            return 1;
+        }
+        if (error instanceof ReportError) {
+            const where = error.section ? ` (section: ${error.section})` : "";
+            console.error(`${error.name}${where}: ${error.message}`);
+            return 1;
+        }
+        throw error;
+    }
+}
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(new URL(import.meta.url))) {
+    process.exitCode = await main();
+}
@@ -0,0 +1,96 @@
+// Merges readings that arrived more than once, typically the same measurement
+// synced from several sources (apple-hk, google-hc, garmin-connect,
+// restore-me). Metrics opt in with a `dedupe` declaration on their registry
+// entry:
+//
+//   dedupe: {
+//     date(log)     reading timestamp (defaults to measurementDate)
+//     values        [log => value, ...] fields that must agree (defaults to
+//                   [log => log.value])
+//     crossSource   only merge readings from different sources (for logs
+//                   that are increments, where one source can legitimately
+//                   log the same value twice in a row)
+//   }
+//
+// Two readings are duplicates when they were taken within `toleranceSeconds`
+// of each other and every value agrees within `valueTolerance` (relative).
+// Of each group, the reading from the source listed first in
+// `sourcePriority` is kept; unlisted sources come after listed ones, readings
+// without a source last, and ties go to the earliest reading.
+
+export const DEFAULT_DEDUPLICATION = {
+    sourcePriority: ["garmin-connect", "apple-hk", "google-hc", "restore-me"],
+    toleranceSeconds: 120,
+    valueTolerance: 0.01
+};
+
+function sourceRank(log, sourcePriority) {
+    const name = log.source?.name;
+    if (!name) return sourcePriority.length + 1;
+    const index = sourcePriority.indexOf(name);
+    return index === -1 ? sourcePriority.length : index;
+}
+
+function sameValue(a, b, tolerance) {
+    if (a === b) return true;
+    if (typeof a !== "number" || typeof b !== "number") return false;
+    return Math.abs(a - b) <= tolerance * Math.max(Math.abs(a), Math.abs(b));
+}
+
+// Returns { logs, merged } where `logs` keeps one reading per duplicate group
+// (in the original order) and `merged` lists the readings dropped, each as
+// { log, keptLog, date } with the kept reading's timestamp.
+export function deduplicateLogs(logs, declaration, settings) {
+    const { date = log => log.measurementDate, values = [log => log.value], crossSource = false } = declaration;
+    const { sourcePriority, toleranceSeconds, valueTolerance } = settings;
+    const toleranceMs = toleranceSeconds * 1000;
+
+    const groups = [];
+    const ordered = logs.map(log => ({ log, date: date(log) })).sort((a, b) => a.date - b.date);
+    // Groups are opened in date order, so the ones still within the tolerance
+    // of a reading are the trailing groups from `open` on.
+    let open = 0;
+    for (const reading of ordered) {
+        while (open < groups.length && reading.date - groups[open][0].date > toleranceMs) open++;
+        const group = groups.slice(open).find(g => (
+            values.every(value => sameValue(value(g[0].log), value(reading.log), valueTolerance)) &&
+            (!crossSource || g.every(other => other.log.source?.name !== reading.log.source?.name))
+        ));
+        if (group) group.push(reading);
+        else groups.push([reading]);
+    }
+
+    const kept = new Set();
+    const merged = [];
+    for (const group of groups) {
+        const winner = group.reduce((best, reading) => (
+            sourceRank(reading.log, sourcePriority) < sourceRank(best.log, sourcePriority) ? reading : best
+        ));
+        kept.add(winner.log);
+        for (const reading of group) {
+            if (reading !== winner) merged.push({ log: reading.log, keptLog: winner.log, date: winner.date });
+        }
+    }
+    return { logs: logs.filter(log => kept.has(log)), merged };
+}
+
+// Deduplicates the logs of every supplied dataset whose metric declares
+// `dedupe`. Returns the input with those datasets' `logs` replaced and
+// `mergedFor(key)`, the readings merged away in a section. `settings` is the
+// `deduplication` report option; `false` turns the stage off.
+export function deduplicateInput(metrics, input, settings = {}) {
+    const merged = new Map();
+    const result = { vitals: { ...input.vitals }, sections: { ...input.sections } };
+    if (settings !== false) {
+        const resolved = { ...DEFAULT_DEDUPLICATION, ...settings };
+        for (const metric of metrics) {
+            const data = input[metric.group][metric.key];
+            if (data == null || !metric.dedupe || !Array.isArray(data.logs)) continue;
+            const { logs, merged: dropped } = deduplicateLogs(data.logs, metric.dedupe, resolved);
+            if (!dropped.length) continue;
+            result[metric.group][metric.key] = { ...data, logs };
+            merged.set(metric.key, dropped);
+        }
+    }
+    return { input: result, mergedFor: key => merged.get(key) || [] };
+}
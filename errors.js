@@ -0,0 +1,26 @@
+// Error types raised by the report generator. Every error carries the name of
+// the report section that was being processed when it happened (or null when
+// the failure is not tied to one section, e.g. the output file).
+
+export class ReportError extends Error {
+    constructor(message, { section = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.section = section;
+    }
+}
+
+// The caller passed options or datasets the generator cannot work with.
+// `details` lists every offending field as { section, path, message }.
+export class InputValidationError extends ReportError {
+    constructor(message, { details = [], ...rest } = {}) {
+        super(message, rest);
+        this.details = details;
+    }
+}
+
+// Chart.js failed to render a chart image.
+export class ChartRenderError extends ReportError {}
+
+// The PDF could not be written to its destination.
+export class PdfWriteError extends ReportError {}
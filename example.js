@@ -0,0 +1,41 @@
+import { generatePDF } from "./report.js";
+import {
+    patientInfo,
+    temperatureData,
+    heartRateData,
+    bloodPressureData,
+    bloodGlucoseData,
+    nutritionData,
+    hydrateData,
+    weightData,
+    activityData,
+    stepData,
+    medicationData,
+    surveyData,
+    nutritionAssessmentData,
+    patientNotesData
+} from "./sample-data.js";
+
+// Example usage: renders the sample patient bundle over the last 90 days.
+const pdfPath = await generatePDF({
+    patient: patientInfo,
+    vitals: {
+        temperature: temperatureData,
+        heartRate: heartRateData,
+        bloodPressure: bloodPressureData,
+        bloodGlucose: bloodGlucoseData
+    },
+    sections: {
+        nutrition: nutritionData,
+        hydration: hydrateData,
+        weight: weightData,
+        activity: activityData,
+        steps: stepData,
+        medication: medicationData,
+        surveys: surveyData,
+        nutritionAssessments: nutritionAssessmentData,
+        patientNotes: patientNotesData
+    },
+    timeframeDays: 90
+});
+console.log("PDF generated successfully:", pdfPath);
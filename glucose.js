@@ -0,0 +1,74 @@
+import moment from "moment-timezone";
+
+// Time-in-range style metrics for spot glucose readings. Each reading falls in
+// one of the benchMark bands for its category (fasting readings use
+// `beforeMeals`, the rest `afterMealsAndRandom`).
+
+// Colours darken with severity in both directions: reds below the range and
+// oranges above it.
+export const GLUCOSE_BANDS = [
+    { key: "outlier", label: "Very Low", color: "#8B0000" },
+    { key: "lowBorderline", label: "Low", color: "#FA114F" },
+    { key: "normal", label: "In Range", color: "#00B050" },
+    { key: "highBorderline", label: "High", color: "#FFA63E" },
+    { key: "high", label: "Very High", color: "#C04000" }
+];
+
+export const GLUCOSE_CATEGORIES = [
+    { key: "FASTING", label: "Fasting" },
+    { key: "AFTER_A_MEAL", label: "After A Meal" },
+    { key: "RANDOM", label: "Random" }
+];
+
+// Variability above this coefficient of variation is considered unstable.
+export const CV_TARGET = 36;
+
+// GMI is validated on at least 14 days of CGM data with 70% of it present;
+// spot readings that cover less than that get a stronger disclaimer.
+const GMI_MIN_DAYS = 14;
+const GMI_MIN_COVERAGE = 0.7;
+
+export function bandsFor(category, benchMark) {
+    return category === "FASTING" ? benchMark.beforeMeals : benchMark.afterMealsAndRandom;
+}
+
+// The band a value falls in. Values between two bands (e.g. 99.5 between
+// 90-99 and 100-125) count towards the lower one; values past either end go
+// to the outermost band.
+export function classifyGlucoseBand(value, ranges) {
+    const present = GLUCOSE_BANDS.filter(band => ranges[band.key]);
+    const below = present.filter(band => ranges[band.key].min <= value);
+    return below.length ? below[below.length - 1] : present[0];
+}
+
+// Share of readings per band: { count, shares: { [bandKey]: 0-1 } }.
+export function timeInRange(logs, benchMark) {
+    const shares = Object.fromEntries(GLUCOSE_BANDS.map(band => [band.key, 0]));
+    for (const log of logs) {
+        shares[classifyGlucoseBand(log.value, bandsFor(log.category, benchMark)).key] += 1;
+    }
+    for (const key of Object.keys(shares)) {
+        shares[key] = logs.length ? shares[key] / logs.length : 0;
+    }
+    return { count: logs.length, shares };
+}
+
+// Coefficient of variation in percent from a statistics.js summary.
+export function coefficientOfVariation(stats) {
+    return stats.count && stats.mean ? (stats.stdDev / stats.mean) * 100 : null;
+}
+
+// Glucose management indicator (Bergenstal 2018) and ADAG estimated A1c, both
+// in percent, from the mean glucose in mg/dL. `sparse` is set when the
+// readings cover fewer than 14 days or under 70% of the reporting window.
+export function estimateA1c(logs, mean, period) {
+    if (!logs.length || mean == null) return null;
+    const days = new Set(logs.map(log => moment(log.measurementDate).tz(period.timezone).format("YYYY-MM-DD"))).size;
+    const windowDays = Math.round((period.end - period.start) / 86400000);
+    return {
+        gmi: 3.31 + 0.02392 * mean,
+        eA1c: (mean + 46.7) / 28.7,
+        days,
+        sparse: days < GMI_MIN_DAYS || days / windowDays < GMI_MIN_COVERAGE
+    };
+}
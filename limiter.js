@@ -0,0 +1,34 @@
+// Minimal promise-based concurrency limiter: at most `concurrency` tasks run at
+// once, the rest wait in FIFO order.
+export function createLimiter(concurrency) {
+    let limit = concurrency;
+    let active = 0;
+    const queue = [];
+
+    function next() {
+        if (active >= limit || !queue.length) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    }
+
+    function run(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+    }
+
+    run.setConcurrency = value => {
+        limit = value;
+        next();
+    };
+    run.stats = () => ({ active, queued: queue.length, concurrency: limit });
+    return run;
+}
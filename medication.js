@@ -0,0 +1,79 @@
+import { fromDayStamp, daysInPeriod } from "./period.js";
+
+// Adherence figures for the Medication section. Each log is one day
+// (`currentDate`, a UTC-midnight day stamp) with the doses prescribed and
+// taken that day, and optionally the same per medication in `medications`:
+// [{ name, totalPrescribed, totalConsumed }].
+//
+// Days are counted from the first to the last logged day in the window; days
+// before the first log are not part of the regimen and days after the last
+// have not been logged yet, while days between them without a log count as
+// not covered.
+
+// The window's days from the first log to the last, each with its log (or null).
+function observedDays(logs, period) {
+    const byDay = new Map(logs.map(log => [fromDayStamp(log.currentDate, period.timezone), log]));
+    const first = Math.min(...byDay.keys());
+    const last = Math.max(...byDay.keys());
+    return daysInPeriod(period)
+        .filter(day => day >= first && day <= last)
+        .map(day => ({ day, log: byDay.get(day) || null }));
+}
+
+// Returns null without logs, otherwise
+//
+//   adherence         doses taken / doses prescribed (0-1)
+//   pdc               proportion of days covered: days with any dose taken
+//                     over observed days (0-1)
+//   compliantDays     days logged as fullyCompliant
+//   loggedDays        days with a log
+//   observedDays      days from the first log to the last
+//   longestGap        { days, start, end } longest run of days that were not
+//                     fully compliant, or null when there is none
+export function medicationAdherence(logs, period) {
+    if (!logs.length) return null;
+    const days = observedDays(logs, period);
+    const prescribed = logs.reduce((sum, log) => sum + log.totalPrescribed, 0);
+    const consumed = logs.reduce((sum, log) => sum + Math.min(log.totalConsumed, log.totalPrescribed), 0);
+
+    let longestGap = null;
+    let run = null;
+    for (const { day, log } of days) {
+        if (log && log.fullyCompliant) {
+            run = null;
+            continue;
+        }
+        run = run ? { ...run, days: run.days + 1, end: day } : { days: 1, start: day, end: day };
+        if (!longestGap || run.days > longestGap.days) longestGap = run;
+    }
+
+    return {
+        adherence: prescribed ? consumed / prescribed : null,
+        pdc: days.filter(({ log }) => log && log.totalConsumed > 0).length / days.length,
+        compliantDays: logs.filter(log => log.fullyCompliant).length,
+        loggedDays: logs.length,
+        observedDays: days.length,
+        longestGap
+    };
+}
+
+// Per-medication totals from the logs' `medications`, by name:
+// [{ name, prescribed, consumed, adherence, fullDays, days }]. Empty when no
+// log names its medications.
+export function medicationBreakdown(logs) {
+    const byName = new Map();
+    for (const log of logs) {
+        for (const medication of log.medications || []) {
+            const entry = byName.get(medication.name) ||
+                { name: medication.name, prescribed: 0, consumed: 0, fullDays: 0, days: 0 };
+            entry.prescribed += medication.totalPrescribed;
+            entry.consumed += Math.min(medication.totalConsumed, medication.totalPrescribed);
+            entry.days += 1;
+            if (medication.totalConsumed >= medication.totalPrescribed) entry.fullDays += 1;
+            byName.set(medication.name, entry);
+        }
+    }
+    return [...byName.values()]
+        .map(entry => ({ ...entry, adherence: entry.prescribed ? entry.consumed / entry.prescribed : null }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,316 @@
+import { summarize, mapSummary } from "./statistics.js";
+import { filterDataByPeriod, toChartTime, formatDate } from "./period.js";
+import { COLORS, renderChart, timeAxis, classifyBands, drawChart } from "./charts.js";
+import { flaggedPointStyle, flaggedLegendDataset } from "./quality.js";
+import { resolveUnits } from "./units.js";
+
+// Registry of report sections. Each entry is rendered, in registration order,
+// on its own page whenever the caller supplies data for it under
+// `vitals[key]` or `sections[key]`:
+//
+//   {
+//     key:     "spo2",                    option key (and error section name)
+//     group:   "vitals" | "sections",
+//     schema:  JSON Schema for the dataset (optional but recommended),
+//     quality: plausibility checks (optional, see quality.js),
+//     dedupe:  duplicate detection (optional, see dedupe.js),
+//     units:   source unit normalisation (optional, see units.js),
+//     render:  async (doc, data, context) => { ... }
+//   }
+//
+// `context` is { period, timezone, guidelines, stepSources, units, quality,
+// duplicates, patient, input }: `units` converts canonical values to the
+// preferred display units (see units.js), `quality` and `duplicates` are the
+// results of the data-quality and deduplication passes, and `input` is every
+// supplied dataset ({ vitals, sections }, deduplicated) for metrics that draw
+// on another one.
+//
+// registerMetric adds an entry, or replaces one with the same key; `before`
+// or `after` places it next to an existing key, and unregisterMetric drops
+// one. Most vitals are a single series of readings, and defineLineMetric
+// builds the whole entry for those; override any field by spreading its
+// result. The built-in sections are registered by report.js.
+
+const registry = new Map();
+
+export function registerMetric(definition, { before, after } = {}) {
+    const { key, group, render } = definition;
+    if (!key || typeof render !== "function" || !["vitals", "sections"].includes(group)) {
+        throw new TypeError("A metric needs a key, a group of \"vitals\" or \"sections\" and a render function");
+    }
+    const anchor = before || after;
+    if (!anchor) {
+        registry.delete(key);
+        registry.set(key, definition);
+        return definition;
+    }
+    if (!registry.has(anchor)) {
+        throw new TypeError(`Cannot place metric "${key}" next to unknown metric "${anchor}"`);
+    }
+    const entries = [...registry.entries()].filter(([existing]) => existing !== key);
+    const index = entries.findIndex(([existing]) => existing === anchor) + (after ? 1 : 0);
+    entries.splice(index, 0, [key, definition]);
+    registry.clear();
+    for (const [k, v] of entries) registry.set(k, v);
+    return definition;
+}
+
+export function unregisterMetric(key) {
+    return registry.delete(key);
+}
+
+export function getMetric(key) {
+    return registry.get(key);
+}
+
+export function listMetrics() {
+    return [...registry.values()];
+}
+
+export function formatStat(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Prints the summary lines for one metric from a statistics.js summary, e.g.
+//
+//   Current Heart Rate: 96 BPM (07 Mar 2025)
+//   Average Heart Rate: 91.50 BPM (median 92, std dev 4.12, 12 readings)
+//   Lowest Heart Rate: 83 BPM on 01 Mar 2025
+//   Highest Heart Rate: 104 BPM on 03 Mar 2025
+//
+// `skip` drops lines (e.g. ["current"]) when a section prints its own.
+export function writeMetricSummary(doc, stats, { name, unit, timezone, currentNote = null, skip = [] }) {
+    const lines = [];
+    if (!stats.count) {
+        lines.push(`${name}: no readings in this period`);
+    } else {
+        const reading = r => `${formatStat(r.value)}${unit}`;
+        if (!skip.includes("current")) {
+            const note = currentNote ? `, ${currentNote}` : "";
+            lines.push(`Current ${name}: ${reading(stats.current)} (${formatDate(stats.current.date, timezone)}${note})`);
+        }
+        const readings = stats.count === 1 ? "1 reading" : `${stats.count} readings`;
+        lines.push(`Average ${name}: ${formatStat(stats.mean)}${unit} (median ${formatStat(stats.median)}, ` +
+            `std dev ${formatStat(stats.stdDev)}, ${readings})`);
+        lines.push(`Lowest ${name}: ${reading(stats.min)} on ${formatDate(stats.min.date, timezone)}`);
+        lines.push(`Highest ${name}: ${reading(stats.max)} on ${formatDate(stats.max.date, timezone)}`);
+    }
+    writeLines(doc, lines);
+}
+
+// Notes how many of a section's readings inside the window were merged as
+// duplicates or flagged as implausible, and whether its statistics include
+// the flagged ones.
+export function writeDataNotes(doc, key, { period, quality, duplicates }) {
+    const notes = [];
+    const merged = duplicates.mergedFor(key).filter(m => m.date >= period.start && m.date <= period.end);
+    if (merged.length) {
+        const sources = [...new Set(merged.map(m => m.log.source?.name || "unknown source"))].join(", ");
+        const readings = merged.length === 1 ? "1 duplicate reading was" : `${merged.length} duplicate readings were`;
+        notes.push(`${readings} merged (${sources}).`);
+    }
+    const flagged = new Set(quality.flagsFor(key).map(flag => flag.log)).size;
+    if (flagged) {
+        const readings = flagged === 1 ? "1 reading was" : `${flagged} readings were`;
+        const treatment = quality.excludeFromStats ? "excluded from" : "included in";
+        notes.push(`${readings} flagged as implausible and ${treatment} the statistics; see Data quality.`);
+    }
+    if (!notes.length) return;
+    doc.font("Helvetica-Oblique").fontSize(10)
+        .text(notes.join(" "), { align: "left" })
+        .moveDown(1);
+    doc.font("Helvetica").fontSize(12);
+}
+
+export function writeLines(doc, lines) {
+    doc.fontSize(12);
+    lines.forEach((line, i) => {
+        doc.text(line, { align: "left" }).moveDown(i === lines.length - 1 ? 1.5 : 0.5);
+    });
+}
+
+// Draws a table at the left margin. `columns` is [{ header, width, align }];
+// each row is a list of cells, where a cell is a value or { text, color } to
+// prefix it with a colour swatch. Long cells wrap within their column; rows
+// that would cross the bottom margin start a new page.
+export function writeTable(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const padding = 4;
+    const swatch = 12;
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+    function layout(cells) {
+        return cells.map((cell, i) => {
+            const { text, color } = cell !== null && typeof cell === "object" ? cell : { text: cell };
+            const width = columns[i].width - padding * 2 - (color ? swatch : 0);
+            return { text: String(text ?? "-"), color, width };
+        });
+    }
+
+    function drawRow(cells, font) {
+        doc.font(font).fontSize(10);
+        const laidOut = layout(cells);
+        const rowHeight = Math.max(...laidOut.map(cell => doc.heightOfString(cell.text, { width: cell.width }))) +
+            padding * 2;
+        if (doc.y + rowHeight > doc.page.maxY()) {
+            doc.addPage();
+            doc.font(font).fontSize(10);
+        }
+        const top = doc.y;
+        let x = left;
+        laidOut.forEach((cell, i) => {
+            let textX = x + padding;
+            if (cell.color) {
+                doc.save().rect(textX, top + padding + 1, 8, 8).fill(cell.color).restore();
+                textX += swatch;
+            }
+            doc.text(cell.text, textX, top + padding + 1, { width: cell.width, align: columns[i].align || "left" });
+            x += columns[i].width;
+        });
+        doc.save()
+            .moveTo(left, top + rowHeight)
+            .lineTo(left + tableWidth, top + rowHeight)
+            .lineWidth(0.5)
+            .strokeColor(COLORS.missing)
+            .stroke()
+            .restore();
+        doc.x = left;
+        doc.y = top + rowHeight;
+    }
+
+    drawRow(columns.map(column => column.header), "Helvetica-Bold");
+    rows.forEach(row => drawRow(row, "Helvetica"));
+    doc.font("Helvetica").fontSize(12).moveDown(1.5);
+}
+
+export function writeSectionTitle(doc, title, period) {
+    doc.fontSize(16)
+        .text(`${title} (${period.label})`, { align: "center" })
+        .moveDown();
+}
+
+// Builds a registry entry for a metric drawn as one dashed line of
+// colour-coded readings:
+//
+//   title         section heading
+//   label         dataset label and summary name ("Heart Rate")
+//   unit          appended to values (" BPM")
+//   quantity      unit quantity of the values ("temperature", see units.js);
+//                 readings are normalised to its canonical unit and shown in
+//                 the preferred one, which also replaces `unit`
+//   axisLabel     y-axis title, or a function of (dataset, units)
+//   granularity   "reading" (timestamped) or "day" x-axis labels
+//   logs(data)    readings to plot (defaults to data.logs)
+//   date(log)     reading timestamp (defaults to measurementDate)
+//   value(log)    reading value (defaults to value)
+//   classify(value, data)   point colour; defaults to the data.benchMarks
+//                           lowBorderline/normal/highBorderline bands
+//   referenceLine(data, units)
+//                 optional { label, value, color, dash } line; `value` is in
+//                 the same (canonical) unit as the readings
+//   plausible     optional { min, max, jump } data-quality check of the
+//                 values (see quality.js)
+//   dedupe        readings taken together with the same value are merged
+//                 (see dedupe.js); false to keep them all
+//   summary(doc, stats, data, context)
+//                 optional replacement for the standard summary lines
+export function defineLineMetric({
+    key,
+    group = "vitals",
+    schema,
+    title,
+    label,
+    unit = "",
+    quantity,
+    axisLabel,
+    granularity = "reading",
+    logs = data => data.logs,
+    date = log => log.measurementDate,
+    value = log => log.value,
+    classify = (v, data) => classifyBands(v, data.benchMarks),
+    referenceLine = () => null,
+    plausible,
+    dedupe = true,
+    summary
+}) {
+    // Readings inside the window, oldest first, as { log, date, value }.
+    function readings(data, period) {
+        const points = logs(data).map(log => ({ log, date: date(log), value: value(log) }));
+        return filterDataByPeriod(points, period, "date").sort((a, b) => a.date - b.date);
+    }
+
+    // Canonical value to display value.
+    const display = (units, v) => (quantity && v != null ? units.convert(quantity, v) : v);
+
+    async function generateChart(data, period, quality, units = resolveUnits()) {
+        const points = readings(data, period);
+        const chartData = points.map(p => ({ x: toChartTime(p.date, period.timezone), y: display(units, p.value) }));
+        const colors = points.map(p => (p.value == null ? COLORS.missing : classify(p.value, data)));
+        const logsShown = points.map(p => p.log);
+
+        const datasets = [{
+            label,
+            data: chartData,
+            borderColor: COLORS.line,
+            backgroundColor: "rgba(0,0,0,0)",
+            ...flaggedPointStyle(logsShown, colors, quality),
+            borderDash: [10, 10],
+            spanGaps: true
+        }];
+        const reference = referenceLine(data, units);
+        if (reference) {
+            const ends = chartData.length ? [chartData[0], chartData[chartData.length - 1]] : [];
+            datasets.push({
+                label: reference.label,
+                data: ends.map(({ x }) => ({ x, y: display(units, reference.value) })),
+                borderColor: reference.color || COLORS.goal,
+                borderDash: reference.dash || [],
+                pointRadius: 0
+            });
+        }
+        if (logsShown.some(quality.isFlagged)) datasets.push(flaggedLegendDataset);
+
+        return renderChart({
+            type: "line",
+            data: { datasets },
+            options: {
+                scales: {
+                    x: timeAxis(granularity),
+                    y: {
+                        title: { display: true, text: typeof axisLabel === "function" ? axisLabel(data, units) : axisLabel }
+                    }
+                },
+                plugins: { legend: { position: "bottom" } }
+            }
+        });
+    }
+
+    async function render(doc, data, context) {
+        const { period, timezone, quality, units } = context;
+        writeSectionTitle(doc, title, period);
+        const points = quality.forStats(readings(data, period), p => p.log);
+        const stats = mapSummary(summarize(points, { date: p => p.date, value: p => p.value }), v => display(units, v));
+        if (summary) {
+            summary(doc, stats, data, context);
+        } else {
+            writeMetricSummary(doc, stats, { name: label, unit: quantity ? units.suffix(quantity) : unit, timezone });
+        }
+        writeDataNotes(doc, key, context);
+        drawChart(doc, await generateChart(data, period, quality, units));
+    }
+
+    const quality = plausible && {
+        logs,
+        date,
+        checks: [{ label, unit, quantity, value, ...plausible }]
+    };
+
+    // Converts the readings' `value`; a metric with other values in that
+    // quantity (benchmarks, goals) replaces this declaration.
+    const units = quantity && {
+        quantity,
+        convert: (data, fn) => ({ ...data, logs: data.logs.map(log => ({ ...log, value: fn(log.value) })) })
+    };
+
+    return { key, group, schema, quality, dedupe: dedupe && { date, values: [value] }, units, render, generateChart };
+}
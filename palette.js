@@ -0,0 +1,12 @@
+// Traffic-light palette shared by the charts and by the helper modules that
+// colour categories, kept apart from charts.js so those modules do not load
+// the canvas.
+
+export const COLORS = {
+    normal: "#00B050",
+    borderline: "#FFA63E",
+    outlier: "#FA114F",
+    missing: "#C0C0C0",
+    line: "#636363",
+    goal: "#0047FF"
+};
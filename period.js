@@ -0,0 +1,109 @@
+import moment from "moment-timezone";
+import { InputValidationError } from "./errors.js";
+
+// Date handling shared by every section: the reporting window, timezone-aware
+// labels and the conversions Chart.js needs.
+
+export const DEFAULT_TIMEZONE = "Asia/Kolkata";
+export const DEFAULT_TIMEFRAME_DAYS = 90;
+
+const DAY_FORMAT = "DD MMM YYYY";
+
+function toMoment(value, timezone, name) {
+    const date = typeof value === "number"
+        ? moment.tz(value, timezone)
+        : moment.tz(value, moment.ISO_8601, timezone);
+    if (!date.isValid()) {
+        throw new InputValidationError(`\`${name}\` must be a timestamp or ISO 8601 date, got "${value}"`);
+    }
+    return date;
+}
+
+// Resolves the reporting window from the report options. All bounds are whole
+// days in the report timezone:
+//
+//   asOf  the day the report is "as of" (header and PDF dates); defaults to
+//         `to` when that is given, otherwise now
+//   to    last day covered; defaults to asOf
+//   from  first day covered; defaults to `timeframeDays` days ending at `to`
+//
+// The result is { start, end, asOf, timezone, explicit, label } where start
+// and end are inclusive millisecond bounds.
+export function resolvePeriod({
+    from,
+    to,
+    asOf,
+    timeframeDays = DEFAULT_TIMEFRAME_DAYS,
+    timezone = DEFAULT_TIMEZONE
+} = {}) {
+    const now = moment().tz(timezone);
+    const toDay = to === undefined ? null : toMoment(to, timezone, "to");
+    const asOfDay = asOf !== undefined
+        ? toMoment(asOf, timezone, "asOf")
+        : toDay ? toDay.clone().startOf("day") : now;
+    const endDay = toDay || asOfDay;
+    const startDay = from === undefined
+        ? endDay.clone().startOf("day").subtract(timeframeDays - 1, "days")
+        : toMoment(from, timezone, "from");
+
+    const start = startDay.clone().startOf("day").valueOf();
+    const end = endDay.clone().endOf("day").valueOf();
+    if (start > end) {
+        throw new InputValidationError("`from` must not be after `to`");
+    }
+
+    const explicit = from !== undefined || to !== undefined;
+    return {
+        start,
+        end,
+        asOf: asOfDay.valueOf(),
+        timezone,
+        explicit,
+        label: explicit
+            ? `${formatDate(start, timezone)} - ${formatDate(end, timezone)}`
+            : `Last ${timeframeDays} days`
+    };
+}
+
+// Nutrition, hydration and medication logs are stamped with UTC midnight of
+// the calendar day they belong to. Map them to midnight of that same date in
+// the report timezone so they filter, bucket and label as that day anywhere.
+export function fromDayStamp(timestamp, timezone) {
+    return moment.tz(moment.utc(timestamp).format("YYYY-MM-DD"), timezone).valueOf();
+}
+
+// Chart.js formats time axes in the process' local zone. Shift timestamps so
+// the wall-clock time it shows is the one in the report timezone.
+export function toChartTime(timestamp, timezone) {
+    return moment(moment.tz(timestamp, timezone).format("YYYY-MM-DDTHH:mm:ss.SSS")).valueOf();
+}
+
+export function formatDate(timestamp, timezone) {
+    return moment(timestamp).tz(timezone).format(DAY_FORMAT);
+}
+
+// Start of every calendar day in the window, in the report timezone.
+export function daysInPeriod(period) {
+    const days = [];
+    const day = moment.tz(period.start, period.timezone).startOf("day");
+    while (day.valueOf() <= period.end) {
+        days.push(day.valueOf());
+        day.add(1, "day");
+    }
+    return days;
+}
+
+// Entries dated within the window. `dateField` names the timestamp field or is
+// a function returning the entry's timestamp. Entries without a date are left
+// out unless `keepUndated` is set, for sections that list them as undated.
+export function filterDataByPeriod(data, period, dateField = "measurementDate", { keepUndated = false } = {}) {
+    const date = typeof dateField === "function" ? dateField : d => d[dateField];
+    return data.filter(d => (date(d) == null ? keepUndated : date(d) >= period.start && date(d) <= period.end));
+}
+
+export function filterDayLogsByPeriod(logs, period, dateField = "createdAt") {
+    return logs.filter(d => {
+        const day = fromDayStamp(d[dateField], period.timezone);
+        return day >= period.start && day <= period.end;
+    });
+}
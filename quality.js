@@ -0,0 +1,170 @@
+import { filterDataByPeriod } from "./period.js";
+import { answerUnit, isAmbiguousMeasurement } from "./units.js";
+
+// Data-quality pass run before any section is drawn. Metrics opt in with a
+// `quality` declaration on their registry entry:
+//
+//   quality: {
+//     logs(data)   readings to check (defaults to data.logs)
+//     date(log)    reading timestamp (defaults to measurementDate)
+//     checks: [{
+//       label      "Heart rate"
+//       unit       " BPM"
+//       quantity   unit quantity of the values, so the appendix can show them
+//                  in the preferred units (optional, see units.js)
+//       value(log) the checked value
+//       min, max   plausible range (inclusive)
+//       jump       { delta, withinHours }: flag a reading that differs by
+//                  more than `delta` from the nearest plausible readings
+//                  taken within `withinHours` before and after it
+//     }]
+//   }
+//
+// Survey and assessment sections declare their answers instead:
+//
+//   quality: {
+//     answers(data) [{ question, values, date }] with the answer `values`;
+//                   numeric weight and height answers whose question has no
+//                   unit are flagged (see answerUnit in units.js)
+//     source        what the Source column shows for them, e.g. "survey"
+//   }
+//
+// Only entries inside the reporting window (and undated answers, which their
+// sections list too) are checked and flagged.
+
+export const FLAGGED_COLOR = "#7B2CBF";
+
+const HOUR = 60 * 60 * 1000;
+
+// Why a reading was flagged. The limits are given in the check's unit unless
+// `value` and `delta` convert them (a limit and a difference respectively)
+// for another `unit`.
+export function describeFlag(flag, { value = v => v, delta = v => v, unit = flag.unit } = {}) {
+    if (flag.kind === "unit") return "no unit given, so not converted or used for BMI";
+    const { min, max, jump } = flag.check;
+    const number = v => (Number.isInteger(v) ? String(v) : v.toFixed(1));
+    return flag.kind === "range"
+        ? `outside plausible range ${number(value(min))}-${number(value(max))}${unit}`
+        : `jump of over ${number(delta(jump.delta))}${unit} from neighbouring readings`;
+}
+
+function checkReadings(key, quality, data, period) {
+    const { logs = d => d.logs, date = log => log.measurementDate, checks } = quality;
+    const readings = filterDataByPeriod(logs(data).map(log => ({ log, date: date(log) })), period, "date")
+        .sort((a, b) => a.date - b.date);
+    const flags = [];
+
+    for (const check of checks) {
+        const values = readings.map(r => check.value(r.log));
+        const plausible = values.map(v => typeof v === "number" && v >= check.min && v <= check.max);
+        // Nearest plausible reading on each side within the jump window.
+        const neighbour = (i, step, withinHours) => {
+            for (let j = i + step; j >= 0 && j < readings.length; j += step) {
+                if (Math.abs(readings[j].date - readings[i].date) > withinHours * HOUR) return null;
+                if (plausible[j]) return j;
+            }
+            return null;
+        };
+        readings.forEach((reading, i) => {
+            const value = values[i];
+            if (typeof value !== "number") return;
+            let kind = null;
+            if (!plausible[i]) {
+                kind = "range";
+            } else if (check.jump) {
+                const { delta, withinHours } = check.jump;
+                const neighbours = [neighbour(i, -1, withinHours), neighbour(i, 1, withinHours)]
+                    .filter(j => j !== null);
+                if (neighbours.length && neighbours.every(j => Math.abs(values[j] - value) > delta)) {
+                    kind = "jump";
+                }
+            }
+            if (!kind) return;
+            const flag = {
+                section: key,
+                log: reading.log,
+                date: reading.date,
+                label: check.label,
+                value,
+                unit: check.unit,
+                quantity: check.quantity,
+                kind,
+                check,
+                source: reading.log.source?.name || "unknown"
+            };
+            flags.push({ ...flag, reason: describeFlag(flag) });
+        });
+    }
+    return flags;
+}
+
+function checkAnswers(key, { answers, source }, data, period) {
+    const flags = [];
+    for (const { question, values, date } of filterDataByPeriod(answers(data), period, "date", { keepUndated: true })) {
+        const answer = values.find(value => isAmbiguousMeasurement(value, question));
+        if (answer === undefined) continue;
+        const flag = {
+            section: key,
+            log: question,
+            date,
+            label: answerUnit(question).quantity === "weight" ? "Weight" : "Height",
+            value: Number(answer),
+            unit: "",
+            kind: "unit",
+            source
+        };
+        flags.push({ ...flag, reason: describeFlag(flag) });
+    }
+    return flags;
+}
+
+// Checks every supplied dataset whose metric declares `quality` and returns
+// the context sections use to honour the result:
+//
+//   flags                  every flagged reading, in report order
+//   excludeFromStats       whether flagged readings are left out of statistics
+//   isFlagged(log)         true for a flagged log entry
+//   flagsFor(key)          the flags of one section
+//   forStats(items, log)   `items` minus flagged entries when excluding;
+//                          `log` maps an item to its log entry
+export function assessDataQuality(metrics, input, period, { excludeFromStats = false } = {}) {
+    const flags = [];
+    for (const metric of metrics) {
+        const data = input[metric.group][metric.key];
+        if (data == null || !metric.quality) continue;
+        if (metric.quality.checks) flags.push(...checkReadings(metric.key, metric.quality, data, period));
+        if (metric.quality.answers) flags.push(...checkAnswers(metric.key, metric.quality, data, period));
+    }
+    const flagged = new Set(flags.map(flag => flag.log));
+    return {
+        flags,
+        excludeFromStats,
+        isFlagged: log => flagged.has(log),
+        flagsFor: key => flags.filter(flag => flag.section === key),
+        forStats: (items, log = item => item) => (
+            excludeFromStats ? items.filter(item => !flagged.has(log(item))) : items
+        )
+    };
+}
+
+// Point styling for a chart series: flagged readings are drawn as a large
+// cross in FLAGGED_COLOR, everything else keeps `colors` and `pointStyle`.
+export function flaggedPointStyle(logs, colors, quality, pointStyle = "circle") {
+    const flagged = logs.map(log => quality.isFlagged(log));
+    const pointColors = colors.map((color, i) => (flagged[i] ? FLAGGED_COLOR : color));
+    return {
+        pointStyle: flagged.map(f => (f ? "crossRot" : pointStyle)),
+        pointRadius: flagged.map(f => (f ? 8 : 3)),
+        pointBorderWidth: flagged.map(f => (f ? 2 : 1)),
+        pointBackgroundColor: pointColors,
+        pointBorderColor: pointColors
+    };
+}
+
+// Legend-only dataset explaining the flagged marker.
+export const flaggedLegendDataset = {
+    label: "Implausible (flagged)",
+    backgroundColor: FLAGGED_COLOR,
+    borderColor: FLAGGED_COLOR,
+    data: []
+};
@@ -0,0 +1,412 @@
+import Ajv from "ajv";
+
+// JSON Schemas for every dataset generatePDF accepts. They only pin down the
+// fields the section renderers actually read; anything else in the API
+// payloads is allowed through untouched.
+
+const number = { type: "number" };
+const string = { type: "string" };
+const timestamp = { type: "number" };
+
+const range = {
+    type: "object",
+    required: ["min", "max"],
+    properties: { min: number, max: number }
+};
+
+const source = {
+    type: ["object", "null"],
+    properties: { id: string, name: string }
+};
+
+// lowBorderline / normal / highBorderline bands used by the traffic-light
+// colouring; `outlier` and `high` are optional extras on some metrics.
+const bands = {
+    type: "object",
+    required: ["lowBorderline", "normal", "highBorderline"],
+    properties: {
+        outlier: range,
+        lowBorderline: range,
+        normal: range,
+        highBorderline: range,
+        high: range
+    }
+};
+
+function logsOf(items) {
+    return { type: "array", items };
+}
+
+const temperature = {
+    type: "object",
+    required: ["benchMark", "logs"],
+    properties: {
+        unit: string,
+        value: { type: ["number", "null"] },
+        benchMark: {
+            type: "object",
+            required: ["baseline", "normalRange"],
+            properties: { baseline: number, normalRange: range }
+        },
+        logs: logsOf({
+            type: "object",
+            required: ["measurementDate", "value"],
+            properties: { measurementDate: timestamp, value: { type: ["number", "null"] }, source }
+        })
+    }
+};
+
+const heartRate = {
+    type: "object",
+    required: ["benchMark", "logs"],
+    properties: {
+        value: { type: ["number", "null"] },
+        benchMark: range,
+        logs: logsOf({
+            type: "object",
+            required: ["measurementDate", "value"],
+            properties: { measurementDate: timestamp, value: { type: ["number", "null"] }, source }
+        })
+    }
+};
+
+const bloodPressure = {
+    type: "object",
+    required: ["benchMark", "logs"],
+    properties: {
+        systolic: { type: ["number", "null"] },
+        diastolic: { type: ["number", "null"] },
+        benchMark: {
+            type: "object",
+            required: ["systolic", "diastolic"],
+            properties: { systolic: bands, diastolic: bands }
+        },
+        logs: logsOf({
+            type: "object",
+            required: ["measurementDate", "systolic", "diastolic"],
+            properties: { measurementDate: timestamp, systolic: number, diastolic: number, source }
+        })
+    }
+};
+
+const glucoseCategory = { enum: ["FASTING", "AFTER_A_MEAL", "RANDOM"] };
+
+const bloodGlucose = {
+    type: "object",
+    required: ["benchMark", "logs"],
+    properties: {
+        unit: string,
+        value: { type: ["number", "null"] },
+        category: glucoseCategory,
+        benchMark: {
+            type: "object",
+            required: ["beforeMeals", "afterMealsAndRandom"],
+            properties: { beforeMeals: bands, afterMealsAndRandom: bands }
+        },
+        logs: logsOf({
+            type: "object",
+            required: ["measurementDate", "value", "category"],
+            properties: { measurementDate: timestamp, value: number, category: glucoseCategory, source }
+        })
+    }
+};
+
+const nutrition = {
+    type: "object",
+    required: ["unit", "currentGoal", "benchMarks", "logs"],
+    properties: {
+        goalAverage: number,
+        actualAverage: number,
+        unit: string,
+        currentGoal: number,
+        benchMarks: bands,
+        logs: logsOf({
+            type: "object",
+            required: ["createdAt", "consumed"],
+            properties: { createdAt: timestamp, consumed: number, goal: number }
+        })
+    }
+};
+
+const hydration = {
+    type: "object",
+    required: ["unit", "logs"],
+    properties: {
+        goalAverage: number,
+        actualAverage: number,
+        unit: string,
+        logs: logsOf({
+            type: "object",
+            required: ["createdAt", "consumed", "goal"],
+            properties: { createdAt: timestamp, consumed: number, goal: number }
+        })
+    }
+};
+
+const weight = {
+    type: "object",
+    required: ["logs"],
+    properties: {
+        unit: string,
+        currentWeight: { type: ["number", "null"] },
+        goalAverage: number,
+        logs: logsOf({
+            type: "object",
+            required: ["createdAt", "value"],
+            properties: { createdAt: timestamp, value: number, goal: { type: ["number", "null"] }, source }
+        })
+    }
+};
+
+const activitySession = {
+    type: "object",
+    required: ["name"],
+    properties: { name: string, timeLogged: number, calories: number, caloriesBurnt: number, createdAt: timestamp }
+};
+
+const activity = {
+    type: "object",
+    required: ["calories", "unit", "benchMarks", "logs"],
+    properties: {
+        calories: number,
+        caloriesBurnt: number,
+        unit: string,
+        benchMarks: bands,
+        logs: logsOf({
+            type: "object",
+            required: ["measurementDate", "caloriesBurnt"],
+            properties: {
+                measurementDate: timestamp,
+                calories: number,
+                caloriesBurnt: number,
+                value: { type: "array", items: activitySession },
+                source
+            }
+        })
+    }
+};
+
+const steps = {
+    type: "object",
+    required: ["goalAverage", "unit", "benchMarks", "logs"],
+    properties: {
+        goalAverage: number,
+        actualAverage: number,
+        unit: string,
+        benchMarks: bands,
+        logs: logsOf({
+            type: "object",
+            required: ["measurementDate", "value"],
+            properties: { measurementDate: timestamp, value: number, goal: { type: ["number", "null"] }, source }
+        })
+    }
+};
+
+const medication = {
+    type: "object",
+    required: ["logs"],
+    properties: {
+        unit: string,
+        logs: logsOf({
+            type: "object",
+            required: ["currentDate", "totalPrescribed", "totalConsumed", "fullyCompliant"],
+            properties: {
+                currentDate: timestamp,
+                totalPrescribed: number,
+                totalConsumed: number,
+                dosageRemaining: number,
+                fullyCompliant: { type: "boolean" },
+                medications: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        required: ["name", "totalPrescribed", "totalConsumed"],
+                        properties: { name: string, totalPrescribed: number, totalConsumed: number }
+                    }
+                }
+            }
+        })
+    }
+};
+
+const surveys = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            title: string,
+            frequency: string,
+            submissionStatus: string,
+            submissionDate: timestamp,
+            assessmentLogs: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["question", "questionType"],
+                    properties: {
+                        question: string,
+                        questionType: string,
+                        valueList: { type: "array", items: string },
+                        symptomName: { type: ["string", "null"] },
+                        scaleOptions: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                required: ["index", "label"],
+                                properties: { index: number, label: string }
+                            }
+                        },
+                        severity: { type: ["number", "null"] },
+                        ratingPercentage: { type: ["number", "null"] },
+                        isCritical: { type: ["boolean", "null"] },
+                        criticalThresholdPercentage: { type: ["number", "null"] }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const answerValues = { type: "array", items: { type: ["string", "number"] } };
+
+const assessmentQuestion = {
+    type: "object",
+    required: ["question", "questionType"],
+    properties: {
+        assessmentQuestionId: string,
+        question: string,
+        questionType: string,
+        assessmentSubType: string,
+        computationKey: string,
+        userType: string,
+        hiddenFromUI: { type: ["boolean", "null"] },
+        mappedOptions: { type: "object", additionalProperties: number },
+        unit: string,
+        value: answerValues,
+        subQuestions: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["question"],
+                properties: { question: string, isGlobal: { type: ["boolean", "null"] }, value: answerValues }
+            }
+        }
+    }
+};
+
+const nutritionAssessments = {
+    type: "array",
+    items: {
+        type: "object",
+        required: ["userAssessmentLog"],
+        properties: {
+            createdAt: timestamp,
+            isProviderAssessmentAvailable: { type: "boolean" },
+            userAssessmentLog: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["assessmentType", "assessment"],
+                    properties: {
+                        assessmentType: string,
+                        riskLevel: string,
+                        score: number,
+                        assessment: { type: "array", items: assessmentQuestion }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const patientNotes = {
+    type: "array",
+    items: {
+        type: "object",
+        required: ["title", "description"],
+        properties: {
+            title: string,
+            description: string,
+            imageId: { type: ["string", "null"] },
+            createdAt: timestamp
+        }
+    }
+};
+
+export const vitalSchemas = { temperature, heartRate, bloodPressure, bloodGlucose };
+
+export const sectionSchemas = {
+    nutrition,
+    hydration,
+    weight,
+    activity,
+    steps,
+    medication,
+    surveys,
+    nutritionAssessments,
+    patientNotes
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = new WeakMap();
+
+function validatorFor(schema) {
+    if (!validators.has(schema)) validators.set(schema, ajv.compile(schema));
+    return validators.get(schema);
+}
+
+const builtInDatasets = [
+    ...Object.entries(vitalSchemas).map(([key, schema]) => ({ key, group: "vitals", schema })),
+    ...Object.entries(sectionSchemas).map(([key, schema]) => ({ key, group: "sections", schema }))
+];
+
+// "/logs/3/value" -> "logs[3].value"
+function toFieldPath(instancePath) {
+    return instancePath
+        .split("/")
+        .slice(1)
+        .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+        .join("");
+}
+
+function describe(error) {
+    if (error.keyword === "required") {
+        return { suffix: `.${error.params.missingProperty}`, message: "is required" };
+    }
+    return { suffix: "", message: error.message };
+}
+
+// Checks every supplied vital and section against its schema and returns a
+// report of every bad field path, e.g.
+//
+//   { valid: false, errors: [{ section: "bloodPressure",
+//       path: "vitals.bloodPressure.benchMark.systolic.lowBorderline.min",
+//       message: "is required" }] }
+//
+// Omitted (null/undefined) datasets are not reported; they are simply not
+// rendered. `datasets` lists the { key, group, schema } entries to check and
+// defaults to the built-in vitals and sections; entries without a schema are
+// skipped.
+export function validateReportInput({ vitals = {}, sections = {} } = {}, datasets = builtInDatasets) {
+    const errors = [];
+    const input = { vitals, sections };
+    for (const { key, group, schema } of datasets) {
+        const data = input[group][key];
+        if (data == null || !schema) continue;
+        const validate = validatorFor(schema);
+        if (validate(data)) continue;
+        for (const error of validate.errors) {
+            const { suffix, message } = describe(error);
+            errors.push({
+                section: key,
+                path: `${group}.${key}${toFieldPath(error.instancePath)}${suffix}`,
+                message
+            });
+        }
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+export function formatValidationReport(errors) {
+    return errors.map(({ path, message }) => `  ${path}: ${message}`).join("\n");
+}
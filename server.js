@@ -0,0 +1,269 @@
+import http from "http";
+import fs from "fs";
+import { randomUUID } from "crypto";
+import {
+    generatePDF,
+    setChartConcurrency,
+    getChartRenderStats,
+    InputValidationError,
+    ReportError
+} from "./report.js";
+
+const DEFAULTS = {
+    maxBodyBytes: 5 * 1024 * 1024,
+    // Reports with more log entries than this are rendered in the background
+    // and answered with a job id instead of the PDF.
+    asyncLogThreshold: 5000,
+    maxRunningJobs: 100,
+    jobTtlMs: 15 * 60 * 1000
+};
+
+class HttpError extends Error {
+    constructor(status, message, body) {
+        super(message);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+function sendPdf(res, buffer) {
+    res.writeHead(200, {
+        "Content-Type": "application/pdf",
+        "Content-Length": buffer.length,
+        "Content-Disposition": "inline; filename=\"patient_report.pdf\""
+    });
+    res.end(buffer);
+}
+
+function errorBody(error) {
+    const body = { error: error.name, message: error.message };
+    if (error.section) body.section = error.section;
+    if (error.details) body.details = error.details;
+    return body;
+}
+
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const type = req.headers["content-type"] || "";
+        if (!type.startsWith("application/json")) {
+            reject(new HttpError(415, "Content-Type must be application/json"));
+            req.resume();
+            return;
+        }
+        if (Number(req.headers["content-length"]) > maxBytes) {
+            reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+            req.resume();
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Stop buffering but drain the rest so the 413 can be sent.
+                req.off("data", onData);
+                req.resume();
+                reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on("data", onData);
+        req.on("end", () => {
+            if (size > maxBytes) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function countLogs({ vitals = {}, sections = {} }) {
+    let total = 0;
+    for (const dataset of [...Object.values(vitals), ...Object.values(sections)]) {
+        if (Array.isArray(dataset)) total += dataset.length;
+        else if (dataset && Array.isArray(dataset.logs)) total += dataset.logs.length;
+    }
+    return total;
+}
+
+function wantsAsync(req, url, options, threshold) {
+    if (url.searchParams.get("mode") === "async") return true;
+    if (url.searchParams.get("mode") === "sync") return false;
+    if (/respond-async/.test(req.headers.prefer || "")) return true;
+    return countLogs(options) > threshold;
+}
+
+// Builds the report options from a request body. Output is always a Buffer so
+// that a failure never leaves a half-sent PDF on the wire.
+function toReportOptions(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        throw new HttpError(400, "Request body must be a JSON object");
+    }
+    const {
+        patient,
+        vitals,
+        sections,
+        timeframeDays,
+        timezone,
+        from,
+        to,
+        asOf,
+        guidelines,
+        dataQuality,
+        deduplication,
+        stepSources,
+        units
+    } = body;
+    return {
+        patient,
+        vitals,
+        sections,
+        timeframeDays,
+        timezone,
+        from,
+        to,
+        asOf,
+        guidelines,
+        dataQuality,
+        deduplication,
+        stepSources,
+        units,
+        output: { type: "buffer" }
+    };
+}
+
+// Creates (but does not start) the report rendering service:
+//
+//   GET  /health            liveness plus job and chart-render counters
+//   POST /reports           JSON bundle in, application/pdf out; large bundles
+//                           (or ?mode=async / "Prefer: respond-async") get a
+//                           202 with a job id instead
+//   GET  /reports/:id       job status
+//   GET  /reports/:id/pdf   the finished PDF
+//
+// Requests are validated by generatePDF: invalid input is a 400, or a failed
+// job when rendering in the background. Chart rendering is limited for the
+// whole process (setChartConcurrency in report.js), not per server.
+export function createReportServer(config = {}) {
+    const settings = { ...DEFAULTS, ...config };
+    const jobs = new Map();
+
+    // Drops finished jobs older than jobTtlMs; runs on every request.
+    function pruneJobs() {
+        const cutoff = Date.now() - settings.jobTtlMs;
+        for (const [id, job] of jobs) {
+            if (job.status !== "running" && job.finishedAt < cutoff) jobs.delete(id);
+        }
+    }
+
+    function startJob(options) {
+        const running = [...jobs.values()].filter(job => job.status === "running").length;
+        if (running >= settings.maxRunningJobs) {
+            throw new HttpError(503, "Too many reports in progress, try again later");
+        }
+        const job = { id: randomUUID(), status: "running", createdAt: Date.now() };
+        jobs.set(job.id, job);
+        generatePDF(options)
+            .then(buffer => {
+                job.status = "done";
+                job.pdf = buffer;
+            })
+            .catch(error => {
+                job.status = "failed";
+                job.error = errorBody(error);
+            })
+            .finally(() => {
+                job.finishedAt = Date.now();
+            });
+        return job;
+    }
+
+    function jobStatus(job) {
+        const body = { id: job.id, status: job.status, createdAt: job.createdAt };
+        if (job.status === "done") body.pdfUrl = `/reports/${job.id}/pdf`;
+        if (job.error) body.error = job.error;
+        return body;
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        const parts = url.pathname.split("/").filter(Boolean);
+        pruneJobs();
+
+        if (req.method === "GET" && url.pathname === "/health") {
+            const running = [...jobs.values()].filter(job => job.status === "running").length;
+            sendJson(res, 200, { status: "ok", jobs: { running, total: jobs.size }, charts: getChartRenderStats() });
+            return;
+        }
+
+        if (parts[0] !== "reports" || parts.length > 3) {
+            throw new HttpError(404, "Not found");
+        }
+
+        if (parts.length === 1) {
+            if (req.method !== "POST") throw new HttpError(405, "Method not allowed");
+            const options = toReportOptions(await readJsonBody(req, settings.maxBodyBytes));
+            if (wantsAsync(req, url, options, settings.asyncLogThreshold)) {
+                const job = startJob(options);
+                res.setHeader("Location", `/reports/${job.id}`);
+                sendJson(res, 202, jobStatus(job));
+                return;
+            }
+            sendPdf(res, await generatePDF(options));
+            return;
+        }
+
+        if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+        const job = jobs.get(parts[1]);
+        if (!job) throw new HttpError(404, "Unknown report job");
+        if (parts.length === 2) {
+            sendJson(res, 200, jobStatus(job));
+            return;
+        }
+        if (parts[2] !== "pdf") throw new HttpError(404, "Not found");
+        if (job.status !== "done") {
+            throw new HttpError(409, `Report is ${job.status}`, jobStatus(job));
+        }
+        sendPdf(res, job.pdf);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, error.body || { error: "HttpError", message: error.message });
+            } else if (error instanceof InputValidationError) {
+                sendJson(res, 400, errorBody(error));
+            } else if (error instanceof ReportError) {
+                sendJson(res, 500, errorBody(error));
+            } else {
+                console.error("Unexpected error handling request:", error);
+                sendJson(res, 500, { error: "InternalError", message: "Internal server error" });
+            }
+        });
+    });
+}
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(new URL(import.meta.url))) {
+    const port = Number(process.env.PORT) || 3000;
+    setChartConcurrency(Number(process.env.CHART_CONCURRENCY) || 2);
+    createReportServer().listen(port, () => {
+        console.log(`Report service listening on http://localhost:${port}`);
+    });
+}
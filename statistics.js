@@ -0,0 +1,65 @@
+// Summary statistics for a metric over the reporting window. Callers pass the
+// same filtered entries the chart is drawn from, so text and chart agree.
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(sorted) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Sample standard deviation; 0 for a single reading.
+function stdDev(values, avg) {
+    if (values.length < 2) return 0;
+    const squares = values.reduce((sum, v) => sum + (v - avg) ** 2, 0);
+    return Math.sqrt(squares / (values.length - 1));
+}
+
+// Summarises `entries` using the `value` and `date` accessors. Entries whose
+// value is not a finite number are ignored. Returns
+//
+//   { count, current, mean, median, stdDev, min, max }
+//
+// where current/min/max are { value, date } readings (the latest, lowest and
+// highest; ties go to the earliest reading) and everything is null when there
+// are no readings.
+export function summarize(entries, { value = e => e.value, date = e => e.measurementDate } = {}) {
+    const readings = entries
+        .map(entry => ({ value: value(entry), date: date(entry) }))
+        .filter(r => typeof r.value === "number" && Number.isFinite(r.value))
+        .sort((a, b) => a.date - b.date);
+
+    if (!readings.length) {
+        return { count: 0, current: null, mean: null, median: null, stdDev: null, min: null, max: null };
+    }
+
+    const values = readings.map(r => r.value);
+    const avg = mean(values);
+    return {
+        count: readings.length,
+        current: readings[readings.length - 1],
+        mean: avg,
+        median: median([...values].sort((a, b) => a - b)),
+        stdDev: stdDev(values, avg),
+        min: readings.reduce((lo, r) => (r.value < lo.value ? r : lo)),
+        max: readings.reduce((hi, r) => (r.value > hi.value ? r : hi))
+    };
+}
+
+// Applies `fn` (e.g. a unit conversion) to every value in a summary. Standard
+// deviation scales linearly, so this is only valid for linear conversions.
+export function mapSummary(summary, fn) {
+    if (!summary.count) return summary;
+    const reading = r => ({ ...r, value: fn(r.value) });
+    return {
+        ...summary,
+        current: reading(summary.current),
+        mean: fn(summary.mean),
+        median: fn(summary.median),
+        stdDev: Math.abs(fn(summary.stdDev) - fn(0)),
+        min: reading(summary.min),
+        max: reading(summary.max)
+    };
+}
@@ -0,0 +1,115 @@
+import moment from "moment-timezone";
+import { DEFAULT_DEDUPLICATION } from "./dedupe.js";
+
+// Step counts arrive from several sources at once (a watch, the phone's
+// health store, manual entries), each covering the same walking. Logs are
+// totalled per source and calendar day in the report timezone, then one
+// figure per day is chosen by the `stepSources` policy:
+//
+//   "preferred"  the first source in `sources` that has steps that day
+//                (unlisted sources after listed ones)
+//   "max"        the largest total of any source that day
+//   "sum"        the sum of sources whose logs that day do not overlap in
+//                time, taken in `sources` order; a source that logged during
+//                another one's span is left out
+//
+// `sources` defaults to the deduplication source priority.
+
+export const STEP_POLICIES = {
+    preferred: "preferred source each day",
+    max: "highest source each day",
+    sum: "non-overlapping sources added up"
+};
+
+export const DEFAULT_STEP_SOURCES = {
+    policy: "preferred",
+    sources: DEFAULT_DEDUPLICATION.sourcePriority
+};
+
+const SOURCE_LABELS = {
+    "garmin-connect": "Garmin Connect",
+    "apple-hk": "Apple Health",
+    "google-hc": "Google Health Connect",
+    "restore-me": "Restore Me"
+};
+
+// Chart colours for the per-source series; unknown sources cycle through
+// SPARE_COLORS.
+const SOURCE_COLORS = {
+    "garmin-connect": "#007CC3",
+    "apple-hk": "#A2AAAD",
+    "google-hc": "#34A853",
+    "restore-me": "#9C6ADE"
+};
+const SPARE_COLORS = ["#E07A5F", "#3D405B", "#81B29A", "#F2CC8F"];
+
+export function sourceColor(name, index = 0) {
+    return SOURCE_COLORS[name] || SPARE_COLORS[index % SPARE_COLORS.length];
+}
+
+export function sourceLabel(name) {
+    return SOURCE_LABELS[name] || name;
+}
+
+// Per-source daily totals: a Map of source name to a Map of day start (ms, in
+// `timezone`) to { total, first, last }, `first` and `last` being the times
+// of the day's first and last log.
+export function dailyTotalsBySource(logs, timezone) {
+    const bySource = new Map();
+    for (const log of logs) {
+        const name = log.source?.name || "unknown";
+        const day = moment.tz(log.measurementDate, timezone).startOf("day").valueOf();
+        if (!bySource.has(name)) bySource.set(name, new Map());
+        const days = bySource.get(name);
+        const entry = days.get(day);
+        if (entry) {
+            entry.total += log.value;
+            entry.first = Math.min(entry.first, log.measurementDate);
+            entry.last = Math.max(entry.last, log.measurementDate);
+        } else {
+            days.set(day, { total: log.value, first: log.measurementDate, last: log.measurementDate });
+        }
+    }
+    return bySource;
+}
+
+function orderSources(names, sources) {
+    const rank = name => {
+        const index = sources.indexOf(name);
+        return index === -1 ? sources.length : index;
+    };
+    return [...names].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+// Applies the policy to dailyTotalsBySource output. Returns { days, sources }
+// where `days` is [{ day, value, sources }] oldest first, each listing the
+// sources that make up its value, and `sources` every source used on any day.
+export function selectDailySteps(bySource, { policy, sources } = {}) {
+    const settings = { ...DEFAULT_STEP_SOURCES, ...(policy && { policy }), ...(sources && { sources }) };
+    const names = orderSources(bySource.keys(), settings.sources);
+    const dayStarts = [...new Set([...bySource.values()].flatMap(days => [...days.keys()]))].sort((a, b) => a - b);
+
+    const days = dayStarts.map(day => {
+        const entries = names
+            .filter(name => bySource.get(name).has(day))
+            .map(name => ({ name, ...bySource.get(name).get(day) }));
+        let chosen;
+        if (settings.policy === "max") {
+            chosen = [entries.reduce((best, entry) => (entry.total > best.total ? entry : best))];
+        } else if (settings.policy === "sum") {
+            chosen = [];
+            for (const entry of entries) {
+                if (chosen.every(other => entry.last < other.first || entry.first > other.last)) chosen.push(entry);
+            }
+        } else {
+            chosen = [entries[0]];
+        }
+        return {
+            day,
+            value: chosen.reduce((sum, entry) => sum + entry.total, 0),
+            sources: chosen.map(entry => entry.name)
+        };
+    });
+    const used = new Set(days.flatMap(day => day.sources));
+    return { days, sources: names.filter(name => used.has(name)) };
+}
@@ -0,0 +1,103 @@
+// Symptom ratings from survey `scale_rating` questions. Each rating carries
+// its scale (`scaleOptions`: [{ index, label }]), the chosen `severity`, that
+// severity as a share of the scale (`ratingPercentage`) and the share at which
+// the symptom counts as critical (`criticalThresholdPercentage`).
+//
+// Ratings are matched across submissions by symptom name: `symptomTypeId` is
+// missing on some questions.
+
+const SYMPTOM_COLORS = ["#FA114F", "#0047FF", "#FFA63E", "#9C6ADE", "#00B050", "#17BECF", "#8C564B", "#636363"];
+
+export function symptomColor(index) {
+    return SYMPTOM_COLORS[index % SYMPTOM_COLORS.length];
+}
+
+export function isScaleRating(question) {
+    return question.questionType === "scale_rating";
+}
+
+// "How severe was your Headache?" -> "Headache"; questions not worded that
+// way are named by their text.
+export function symptomName(question) {
+    if (question.symptomName && question.symptomName.trim()) return question.symptomName.trim();
+    const match = /^how severe (?:was|is|were|are) your (.+?)\??$/i.exec(question.question.trim());
+    if (!match) return question.question.trim();
+    return match[1].charAt(0).toUpperCase() + match[1].slice(1);
+}
+
+function scaleMax(question) {
+    const indexes = (question.scaleOptions || []).map(option => option.index);
+    if (indexes.length) return Math.max(...indexes);
+    return Math.max(0, (question.optionsList || []).length - 1);
+}
+
+// The chosen rating as a number, or null when unanswered.
+export function ratingValue(question) {
+    if (typeof question.severity === "number") return question.severity;
+    const value = parseInt((question.valueList || [])[0], 10);
+    return Number.isNaN(value) ? null : value;
+}
+
+// A rating with its scale label: "2 – Moderate". Ratings off the scale are
+// shown as given.
+export function ratingLabel(question, value) {
+    const option = (question.scaleOptions || []).find(candidate => String(candidate.index) === String(value).trim());
+    return option ? `${option.index} – ${option.label}` : String(value);
+}
+
+// The rating as a percentage of its scale.
+export function ratingPercent(question) {
+    if (typeof question.ratingPercentage === "number") return question.ratingPercentage;
+    const value = ratingValue(question);
+    const max = scaleMax(question);
+    return value != null && max > 0 ? (value / max) * 100 : null;
+}
+
+// Critical when the app flagged it or it reaches the question's threshold.
+export function isCriticalRating(question) {
+    const percent = ratingPercent(question);
+    const threshold = question.criticalThresholdPercentage;
+    return question.isCritical === true || (typeof threshold === "number" && percent != null && percent >= threshold);
+}
+
+// Every answered rating by symptom, oldest first:
+// [{ name, points: [{ date, value, percent, label, critical, threshold }] }]
+// with symptoms in order of first appearance. The date is the survey's
+// submissionDate (createdAt when it has none).
+export function symptomSeries(surveys) {
+    const byName = new Map();
+    const dated = surveys
+        .map(survey => ({ survey, date: survey.submissionDate ?? survey.createdAt }))
+        .filter(({ date }) => date != null)
+        .sort((a, b) => a.date - b.date);
+    for (const { survey, date } of dated) {
+        for (const question of (survey.assessmentLogs || []).filter(isScaleRating)) {
+            const value = ratingValue(question);
+            if (value == null) continue;
+            const name = symptomName(question);
+            const key = name.toLowerCase();
+            if (!byName.has(key)) byName.set(key, { name, points: [] });
+            byName.get(key).points.push({
+                date,
+                value,
+                percent: ratingPercent(question),
+                label: ratingLabel(question, value),
+                critical: isCriticalRating(question),
+                threshold: question.criticalThresholdPercentage ?? null
+            });
+        }
+    }
+    return [...byName.values()];
+}
+
+// Symptoms rated critical at least once, most recent first:
+// [{ name, latest, count }] where `latest` is the most recent critical point.
+export function criticalSymptoms(series) {
+    return series
+        .map(({ name, points }) => {
+            const critical = points.filter(point => point.critical);
+            return { name, latest: critical[critical.length - 1], count: critical.length };
+        })
+        .filter(symptom => symptom.count)
+        .sort((a, b) => b.latest.date - a.latest.date || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import moment from "moment-timezone";
+import { activitySessions, activityBreakdown, dailyActivityCalories } from "../activity.js";
+
+const TZ = "Asia/Kolkata";
+const at = date => moment.tz(date, TZ).valueOf();
+const logs = [
+    {
+        measurementDate: at("2025-03-01T08:00"),
+        value: [
+            { name: "Walking", timeLogged: 30, caloriesBurnt: 120 },
+            { name: "Yoga", timeLogged: 0, caloriesBurnt: 0 }
+        ]
+    },
+    {
+        measurementDate: at("2025-03-01T19:00"),
+        value: [{ name: "Cycling", timeLogged: 45, caloriesBurnt: 300 }]
+    },
+    {
+        measurementDate: at("2025-03-02T07:00"),
+        value: [{ name: "Walking", timeLogged: 20 }]
+    }
+];
+
+test("lists sessions with time logged", () => {
+    assert.deepEqual(activitySessions(logs), [
+        { name: "Walking", minutes: 30, calories: 120, date: at("2025-03-01T08:00") },
+        { name: "Cycling", minutes: 45, calories: 300, date: at("2025-03-01T19:00") },
+        { name: "Walking", minutes: 20, calories: 0, date: at("2025-03-02T07:00") }
+    ]);
+    assert.deepEqual(activitySessions([{ measurementDate: 0 }]), []);
+});
+
+test("totals each activity type, most minutes first", () => {
+    assert.deepEqual(activityBreakdown(activitySessions(logs)), [
+        { name: "Walking", sessions: 2, minutes: 50, calories: 120 },
+        { name: "Cycling", sessions: 1, minutes: 45, calories: 300 }
+    ]);
+});
+
+test("adds up calories per day in the report timezone", () => {
+    const days = dailyActivityCalories(activitySessions(logs), TZ);
+    assert.deepEqual([...days.keys()], [at("2025-03-01"), at("2025-03-02")]);
+    assert.deepEqual([...days.get(at("2025-03-01"))], [["Walking", 120], ["Cycling", 300]]);
+});
@@ -0,0 +1,182 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    assessmentMeasurements,
+    scoreAssessment,
+    glimCriteria,
+    derivedValues,
+    changedAnswers,
+    hasChangedAnswers,
+    groupByRespondent
+} from "../assessments.js";
+
+const number = (questionType, value, unit, extra = {}) => ({
+    question: questionType,
+    questionType,
+    value: [value],
+    unit,
+    computationKey: /WEIGHT_.*_AGO/.test(questionType) ? "WL" : "BMI",
+    assessmentSubType: "GENERAL",
+    ...extra
+});
+const choice = (question, value, mappedOptions, extra = {}) => ({
+    question,
+    questionType: "MCQ",
+    value: [value],
+    computationKey: "MAP",
+    mappedOptions,
+    assessmentSubType: "GENERAL",
+    ...extra
+});
+
+const screening = (current, sixMonthsAgo, height = "178") => ({
+    assessmentType: "SCREENING",
+    assessment: [
+        number("CURRENT_WEIGHT", current, "kg"),
+        number("CURRENT_HEIGHT", height, "cm"),
+        number("WEIGHT_SIX_MONTHS_AGO", sixMonthsAgo, "kg", { hiddenFromUI: true }),
+        choice("Acute disease?", "YES", { YES: 2, NO: 0 })
+    ]
+});
+
+test("measures BMI and weight loss from the answers", () => {
+    const measured = assessmentMeasurements(screening("80", "100"));
+    assert.equal(measured.bmi.toFixed(1), "25.2");
+    assert.equal(measured.weightLoss.sixMonths, 20);
+    assert.equal(measured.weightLoss.oneMonth, null);
+});
+
+test("leaves answers without a unit and implausible BMIs out", () => {
+    const unitless = assessmentMeasurements({
+        assessmentType: "SCREENING",
+        assessment: [number("CURRENT_WEIGHT", "176.4"), number("CURRENT_HEIGHT", "70")]
+    });
+    assert.equal(unitless.weight, null);
+    assert.equal(unitless.bmi, null);
+    const implausible = assessmentMeasurements({
+        assessmentType: "SCREENING",
+        assessment: [number("CURRENT_WEIGHT", "116", "kg"), number("CURRENT_HEIGHT", "91", "cm")]
+    });
+    assert.equal(implausible.height, 91);
+    assert.equal(implausible.bmi, null);
+});
+
+test("scores MUST from BMI, weight loss and mapped answers", () => {
+    assert.equal(scoreAssessment({ ...screening("80", "100"), score: 4 }).total, 4);
+    assert.equal(scoreAssessment(screening("80", "82")).total, 2);
+    // BMI 17.7 (2 points) and 6% loss (1 point)
+    assert.equal(scoreAssessment(screening("56", "59.6")).total, 5);
+});
+
+test("flags a stored score that differs", () => {
+    const result = scoreAssessment({ ...screening("80", "100"), score: 3 });
+    assert.equal(result.agrees, false);
+    assert.equal(result.stored, 3);
+});
+
+test("scores PG-SGA with the 1-month loss ahead of the 6-month loss", () => {
+    const log = {
+        assessmentType: "PG-SGA",
+        assessment: [
+            number("CURRENT_WEIGHT", "80", "kg"),
+            number("CURRENT_HEIGHT", "178", "cm"),
+            number("WEIGHT_ONE_MONTH_AGO", "81", "kg", { assessmentSubType: "HEIGHT_WEIGHT" }),
+            number("WEIGHT_SIX_MONTHS_AGO", "100", "kg"),
+            choice("Intake", "LESS THAN USUAL", { "LESS THAN USUAL": 1 }, { assessmentSubType: "FOOD_INTAKE" }),
+            { ...choice("Conditions", "CANCER", undefined), questionType: "MSQ", assessmentSubType: "DISEASES" },
+            {
+                question: "Muscle Mass",
+                questionType: "SUB",
+                computationKey: "SUBTYPE-SUM",
+                assessmentSubType: "PHYSICAL-EXAM",
+                subQuestions: [{ question: "temples", value: ["3+"] }, { question: "Global", isGlobal: true, value: ["2+"] }]
+            }
+        ]
+    };
+    const result = scoreAssessment(log);
+    assert.equal(result.total, 4);
+    assert.deepEqual(result.bySubType, [
+        { subType: "GENERAL", points: 0 },
+        { subType: "HEIGHT_WEIGHT", points: 0 },
+        { subType: "FOOD_INTAKE", points: 1 },
+        { subType: "DISEASES", points: 1 },
+        { subType: "PHYSICAL-EXAM", points: 2 }
+    ]);
+    assert.equal(scoreAssessment({ assessmentType: "GLIM", assessment: [] }), null);
+});
+
+test("GLIM needs a phenotypic and an etiologic criterion", () => {
+    const glim = (current, extra = []) => ({
+        assessmentType: "GLIM",
+        riskLevel: "severe",
+        assessment: [
+            number("CURRENT_WEIGHT", current, "kg"),
+            number("CURRENT_HEIGHT", "178", "cm"),
+            number("WEIGHT_SIX_MONTHS_AGO", "100", "kg"),
+            ...extra
+        ]
+    });
+    const inflammation = choice("Inflammation", "severe deficit", { "severe deficit": 1 }, { assessmentSubType: "INFLAMMATION" });
+
+    const severe = glimCriteria(glim("80", [inflammation]));
+    assert.equal(severe.malnutrition, true);
+    assert.equal(severe.severity, "severe");
+    assert.equal(severe.agrees, true);
+
+    const moderate = glimCriteria(glim("93", [inflammation]));
+    assert.equal(moderate.severity, "moderate");
+    assert.equal(moderate.agrees, false);
+
+    assert.equal(glimCriteria(glim("80")).malnutrition, false);
+});
+
+test("GLIM raises the BMI cut-offs from age 70", () => {
+    const log = {
+        assessmentType: "GLIM",
+        assessment: [
+            number("CURRENT_WEIGHT", "66", "kg"),
+            number("CURRENT_HEIGHT", "178", "cm"),
+            choice("Inflammation", "Mild-to-moderate deficit", {}, { assessmentSubType: "INFLAMMATION" })
+        ]
+    };
+    // BMI 20.8
+    assert.equal(glimCriteria(log, { age: 50 }).malnutrition, false);
+    assert.equal(glimCriteria(log, { age: 75 }).severity, "moderate");
+});
+
+test("derives BMI and weight change and names their inputs", () => {
+    const values = derivedValues(screening("80", "100"));
+    assert.deepEqual(values.map(value => value.key), ["bmi", "sixMonths"]);
+    assert.equal(values[1].value, 20);
+    assert.equal(values[1].inputs[0].questionType, "WEIGHT_SIX_MONTHS_AGO");
+});
+
+test("finds answers that changed since the previous assessment", () => {
+    const before = screening("80", "100");
+    const after = screening("78", "100");
+    const changed = changedAnswers(before, after);
+    assert.equal(changed.size, 1);
+    const [[question, previous]] = changed;
+    assert.equal(question.questionType, "CURRENT_WEIGHT");
+    assert.deepEqual(previous.value, ["80"]);
+});
+
+test("reports changed answers only for questions shown in the body", () => {
+    const taken = (createdAt, log) => ({ createdAt, userAssessmentLog: [log] });
+    assert.equal(hasChangedAnswers([taken(1, screening("80", "100")), taken(2, screening("80", "100"))]), false);
+    // the six-months-ago weight is hidden from the body
+    assert.equal(hasChangedAnswers([taken(1, screening("80", "100")), taken(2, screening("80", "90"))]), false);
+    assert.equal(hasChangedAnswers([taken(1, screening("80", "100")), taken(2, screening("78", "100"))]), true);
+});
+
+test("groups answers by respondent, patient first", () => {
+    const groups = groupByRespondent([
+        { question: "a", userType: "PROVIDER" },
+        { question: "b", userType: "PATIENT" },
+        { question: "c" }
+    ]);
+    assert.deepEqual(groups.map(group => [group.key, group.questions.map(q => q.question)]), [
+        ["PATIENT", ["b", "c"]],
+        ["PROVIDER", ["a"]]
+    ]);
+});
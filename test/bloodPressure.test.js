@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BP_GUIDELINES, classifyBloodPressure, categoryDistribution } from "../bloodPressure.js";
+
+const stage = (systolic, diastolic, guideline = "aha") => (
+    classifyBloodPressure(systolic, diastolic, BP_GUIDELINES[guideline]).key
+);
+
+test("stages AHA/ACC readings by the more severe of the two values", () => {
+    assert.equal(stage(118, 78), "normal");
+    assert.equal(stage(125, 78), "elevated");
+    assert.equal(stage(118, 82), "stage1");
+    assert.equal(stage(130, 70), "stage1");
+    assert.equal(stage(125, 90), "stage2");
+    assert.equal(stage(180, 110), "stage2");
+    assert.equal(stage(185, 80), "crisis");
+    assert.equal(stage(150, 121), "crisis");
+    assert.equal(classifyBloodPressure(118, 78).key, "normal");
+});
+
+test("stages ESC/ESH readings", () => {
+    assert.equal(stage(115, 75, "esc"), "optimal");
+    assert.equal(stage(120, 75, "esc"), "normal");
+    assert.equal(stage(125, 85, "esc"), "highNormal");
+    assert.equal(stage(140, 80, "esc"), "grade1");
+    assert.equal(stage(150, 100, "esc"), "grade2");
+    assert.equal(stage(180, 90, "esc"), "grade3");
+});
+
+test("counts readings per category, mildest first", () => {
+    const logs = [
+        { systolic: 118, diastolic: 75 },
+        { systolic: 116, diastolic: 70 },
+        { systolic: 128, diastolic: 79 },
+        { systolic: 142, diastolic: 88 }
+    ];
+    const distribution = categoryDistribution(logs);
+    assert.deepEqual(distribution.map(({ category, count }) => [category.key, count]), [
+        ["normal", 2],
+        ["elevated", 1],
+        ["stage1", 0],
+        ["stage2", 1],
+        ["crisis", 0]
+    ]);
+    assert.equal(distribution[0].share, 0.5);
+    assert.ok(categoryDistribution([], BP_GUIDELINES.esc).every(({ count, share }) => count === 0 && share === 0));
+});
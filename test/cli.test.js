@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { patientInfo, temperatureData } from "../sample-data.js";
+
+// The CLI renders through report.js, which loads the canvas native module.
+const skip = await import("../cli.js").then(() => false, error => {
+    if (/canvas/.test(error.message)) return "the canvas native module is not built";
+    throw error;
+});
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// Runs the CLI in a child process: { code, stdout, stderr }.
+function run(args) {
+    const result = spawnSync(process.execPath, [...process.execArgv, CLI, ...args], { encoding: "utf8" });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function tempFile(t, name, contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "health-report-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    if (contents !== undefined) fs.writeFileSync(file, JSON.stringify(contents));
+    return file;
+}
+
+test("prints the usage", { skip }, () => {
+    const { code, stdout } = run(["--help"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: health-report/);
+});
+
+test("renders a bundle to the --out file", { skip }, t => {
+    const bundle = tempFile(t, "bundle.json", { patient: patientInfo, vitals: { temperature: temperatureData } });
+    const out = path.join(path.dirname(bundle), "report.pdf");
+    const { code, stderr } = run([bundle, "--out", out]);
+    assert.equal(code, 0);
+    assert.match(stderr, /PDF generated successfully/);
+    assert.equal(fs.readFileSync(out).subarray(0, 5).toString(), "%PDF-");
+});
+
+test("exits with 2 on usage errors", { skip }, t => {
+    const bundle = tempFile(t, "bundle.json", { patient: patientInfo });
+    for (const args of [
+        [bundle, "--timeframe", "45"],
+        [bundle, "--timeframe", "30", "--from", "2025-03-01"],
+        [bundle, "--sections", "temperature,unknown"],
+        [bundle, "--bp-guideline", "jnc7"],
+        [bundle, "--dedupe-tolerance", "soon"],
+        [bundle, "--step-policy", "average"],
+        [bundle, "--units", "nautical"],
+        [bundle, bundle],
+        [tempFile(t, "missing.json")],
+        ["--temperature", bundle]
+    ]) {
+        const { code, stderr } = run(args);
+        assert.equal(code, 2, args.join(" "));
+        assert.match(stderr, /Usage: health-report/);
+    }
+});
+
+test("exits with 1 when the data does not validate", { skip }, t => {
+    const bundle = tempFile(t, "bundle.json", { patient: patientInfo, vitals: { temperature: { logs: "none" } } });
+    const { code, stderr } = run([bundle, "--out", path.join(path.dirname(bundle), "report.pdf")]);
+    assert.equal(code, 1);
+    assert.match(stderr, /vitals\.temperature/);
+});
+
+test("--timeframe replaces the bundle's from/to window", { skip }, t => {
+    // The bundle's own window is invalid, so the report only renders without it.
+    const bundle = tempFile(t, "bundle.json", {
+        patient: patientInfo,
+        vitals: { temperature: temperatureData },
+        from: "2025-03-10",
+        to: "2025-03-01"
+    });
+    const out = path.join(path.dirname(bundle), "report.pdf");
+    assert.equal(run([bundle, "--out", out]).code, 1);
+    const { code, stderr } = run([bundle, "--timeframe", "30", "--out", out]);
+    assert.equal(code, 0, stderr);
+});
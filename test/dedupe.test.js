@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_DEDUPLICATION, deduplicateLogs, deduplicateInput } from "../dedupe.js";
+
+const reading = (measurementDate, value, source) => ({ measurementDate, value, source: source && { name: source } });
+
+test("merges readings of the same value within the tolerance, keeping the preferred source", () => {
+    const logs = [reading(0, 80, "restore-me"), reading(30000, 80.2, "garmin-connect"), reading(60000, 80, "apple-hk")];
+    const { logs: kept, merged } = deduplicateLogs(logs, {}, DEFAULT_DEDUPLICATION);
+    assert.deepEqual(kept, [logs[1]]);
+    assert.equal(merged.length, 2);
+    assert.ok(merged.every(entry => entry.keptLog === logs[1]));
+});
+
+test("keeps readings outside the time or value tolerance", () => {
+    const logs = [reading(0, 80, "apple-hk"), reading(121000, 80, "google-hc"), reading(130000, 85, "garmin-connect")];
+    const { logs: kept, merged } = deduplicateLogs(logs, {}, DEFAULT_DEDUPLICATION);
+    assert.equal(kept.length, 3);
+    assert.equal(merged.length, 0);
+});
+
+test("matches a reading against every group still within the tolerance", () => {
+    const logs = [
+        reading(0, 80, "apple-hk"),
+        reading(30000, 90, "apple-hk"),
+        reading(100000, 80, "garmin-connect"),
+        reading(200000, 80, "google-hc"),
+        reading(210000, 90, "garmin-connect")
+    ];
+    const { logs: kept, merged } = deduplicateLogs(logs, {}, DEFAULT_DEDUPLICATION);
+    // 80 at 200s is past the tolerance of the group opened at 0s; 90 at 210s
+    // is past that of the group opened at 30s.
+    assert.deepEqual(kept, [logs[1], logs[2], logs[3], logs[4]]);
+    assert.deepEqual(merged.map(entry => [entry.log, entry.keptLog]), [[logs[0], logs[2]]]);
+});
+
+test("compares every declared value", () => {
+    const bp = (measurementDate, systolic, diastolic) => ({ measurementDate, systolic, diastolic });
+    const logs = [bp(0, 120, 80), bp(10000, 120, 90)];
+    const declaration = { values: [log => log.systolic, log => log.diastolic] };
+    assert.equal(deduplicateLogs(logs, declaration, DEFAULT_DEDUPLICATION).logs.length, 2);
+});
+
+test("deduplicateInput skips metrics without a declaration and can be turned off", () => {
+    const metrics = [
+        { key: "weight", group: "sections", dedupe: {} },
+        { key: "notes", group: "sections" }
+    ];
+    const logs = [reading(0, 80, "apple-hk"), reading(1000, 80, "garmin-connect")];
+    const input = { vitals: {}, sections: { weight: { logs }, notes: { logs } } };
+
+    const result = deduplicateInput(metrics, input);
+    assert.equal(result.input.sections.weight.logs.length, 1);
+    assert.equal(result.input.sections.notes.logs.length, 2);
+    assert.equal(result.mergedFor("weight").length, 1);
+
+    const off = deduplicateInput(metrics, input, false);
+    assert.equal(off.input.sections.weight.logs.length, 2);
+    assert.deepEqual(off.mergedFor("weight"), []);
+});
+
+test("crossSource keeps repeated increments from one source", () => {
+    // restore-me step increments of 200/400/200 within two minutes
+    const logs = [
+        reading(0, 200, "restore-me"),
+        reading(30000, 400, "restore-me"),
+        reading(60000, 200, "restore-me"),
+        reading(61000, 200, "apple-hk")
+    ];
+    const { logs: kept, merged } = deduplicateLogs(logs, { crossSource: true }, DEFAULT_DEDUPLICATION);
+    assert.equal(kept.reduce((sum, log) => sum + log.value, 0), 800);
+    // the apple-hk copy matches a restore-me increment and wins on priority
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].keptLog, logs[3]);
+
+    assert.equal(deduplicateLogs(logs, {}, DEFAULT_DEDUPLICATION).logs.length, 2);
+});
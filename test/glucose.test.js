@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GLUCOSE_BANDS, bandsFor, classifyGlucoseBand, timeInRange, coefficientOfVariation, estimateA1c } from "../glucose.js";
+import { summarize } from "../statistics.js";
+import { resolvePeriod } from "../period.js";
+
+const benchMark = {
+    beforeMeals: {
+        outlier: { min: 0, max: 69 },
+        lowBorderline: { min: 70, max: 89 },
+        normal: { min: 90, max: 99 },
+        highBorderline: { min: 100, max: 125 },
+        high: { min: 126, max: 1000 }
+    },
+    afterMealsAndRandom: {
+        outlier: { min: 0, max: 69 },
+        lowBorderline: { min: 70, max: 100 },
+        normal: { min: 101, max: 140 },
+        highBorderline: { min: 141, max: 199 },
+        high: { min: 200, max: 1000 }
+    }
+};
+
+test("fasting readings use the before-meals bands", () => {
+    assert.equal(bandsFor("FASTING", benchMark), benchMark.beforeMeals);
+    assert.equal(bandsFor("AFTER_A_MEAL", benchMark), benchMark.afterMealsAndRandom);
+    assert.equal(bandsFor("RANDOM", benchMark), benchMark.afterMealsAndRandom);
+});
+
+test("classifies values between bands into the lower one", () => {
+    const band = value => classifyGlucoseBand(value, benchMark.beforeMeals).key;
+    assert.equal(band(95), "normal");
+    assert.equal(band(99.5), "normal");
+    assert.equal(band(100), "highBorderline");
+    assert.equal(band(69.5), "outlier");
+    assert.equal(band(1200), "high");
+    assert.equal(band(-1), "outlier");
+});
+
+test("gives every band its own colour", () => {
+    assert.equal(new Set(GLUCOSE_BANDS.map(band => band.color)).size, GLUCOSE_BANDS.length);
+});
+
+test("shares readings between the bands of their own category", () => {
+    const { count, shares } = timeInRange([
+        { value: 95, category: "FASTING" },
+        { value: 130, category: "AFTER_A_MEAL" },
+        { value: 130, category: "FASTING" },
+        { value: 60, category: "RANDOM" }
+    ], benchMark);
+    assert.equal(count, 4);
+    assert.deepEqual(shares, { outlier: 0.25, lowBorderline: 0, normal: 0.5, highBorderline: 0, high: 0.25 });
+    assert.equal(timeInRange([], benchMark).shares.normal, 0);
+});
+
+test("computes the coefficient of variation", () => {
+    const stats = summarize([{ measurementDate: 1, value: 90 }, { measurementDate: 2, value: 110 }]);
+    assert.equal(coefficientOfVariation(stats).toFixed(1), "14.1");
+    assert.equal(coefficientOfVariation(summarize([])), null);
+});
+
+test("estimates A1c and GMI from the mean glucose", () => {
+    const period = resolvePeriod({ from: "2025-03-01", to: "2025-03-14", timezone: "UTC" });
+    const daily = Array.from({ length: 14 }, (_, i) => ({ measurementDate: period.start + (i + 0.5) * 86400000 }));
+
+    const estimate = estimateA1c(daily, 154, period);
+    assert.equal(estimate.gmi.toFixed(2), "6.99");
+    assert.equal(estimate.eA1c.toFixed(2), "6.99");
+    assert.equal(estimate.days, 14);
+    assert.equal(estimate.sparse, false);
+
+    assert.equal(estimateA1c(daily.slice(0, 10), 154, period).sparse, true);
+    assert.equal(estimateA1c([], 154, period), null);
+});
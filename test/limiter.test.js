@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter } from "../limiter.js";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test("runs at most `concurrency` tasks at once, in order", async () => {
+    const run = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const started = [];
+    const task = id => async () => {
+        active++;
+        peak = Math.max(peak, active);
+        started.push(id);
+        await tick();
+        active--;
+        return id;
+    };
+    const results = await Promise.all([1, 2, 3, 4, 5].map(id => run(task(id))));
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+    assert.equal(peak, 2);
+});
+
+test("a failing task rejects only its own call", async () => {
+    const run = createLimiter(1);
+    const failed = run(() => {
+        throw new Error("boom");
+    });
+    const next = run(async () => "next");
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, "next");
+});
+
+test("raising the concurrency starts queued tasks", async () => {
+    const run = createLimiter(1);
+    let release;
+    const blocker = run(() => new Promise(resolve => { release = resolve; }));
+    const queued = run(async () => "queued");
+    assert.deepEqual(run.stats(), { active: 1, queued: 1, concurrency: 1 });
+
+    run.setConcurrency(2);
+    assert.equal(await queued, "queued");
+    release();
+    await blocker;
+    await tick();
+    assert.deepEqual(run.stats(), { active: 0, queued: 0, concurrency: 2 });
+});
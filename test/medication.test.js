@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { medicationAdherence, medicationBreakdown } from "../medication.js";
+import { resolvePeriod, fromDayStamp } from "../period.js";
+
+const TZ = "Asia/Kolkata";
+const period = resolvePeriod({ from: "2025-03-01", to: "2025-03-06", timezone: TZ });
+const day = date => Date.parse(`${date}T00:00:00Z`);
+const log = (date, totalPrescribed, totalConsumed, medications) => ({
+    currentDate: day(date),
+    totalPrescribed,
+    totalConsumed,
+    fullyCompliant: totalConsumed >= totalPrescribed,
+    medications
+});
+
+test("counts adherence from the first logged day", () => {
+    const adherence = medicationAdherence([
+        log("2025-03-02", 2, 2),
+        log("2025-03-03", 2, 1),
+        log("2025-03-05", 2, 3),
+        log("2025-03-06", 2, 0)
+    ], period);
+    assert.equal(adherence.observedDays, 5);
+    assert.equal(adherence.loggedDays, 4);
+    assert.equal(adherence.compliantDays, 2);
+    // doses above the prescription do not make up for missed ones
+    assert.equal(adherence.adherence, 5 / 8);
+    // 02, 03 and 05 had doses taken; 04 has no log and 06 none taken
+    assert.equal(adherence.pdc, 3 / 5);
+    assert.deepEqual(adherence.longestGap, {
+        days: 2,
+        start: fromDayStamp(day("2025-03-03"), TZ),
+        end: fromDayStamp(day("2025-03-04"), TZ)
+    });
+    assert.equal(medicationAdherence([], period), null);
+});
+
+test("stops counting at the last logged day", () => {
+    const adherence = medicationAdherence([log("2025-03-01", 1, 1), log("2025-03-03", 1, 1)], period);
+    assert.equal(adherence.observedDays, 3);
+    assert.equal(adherence.pdc, 2 / 3);
+    assert.equal(adherence.longestGap.days, 1);
+});
+
+test("has no gap when every observed day was fully compliant", () => {
+    const adherence = medicationAdherence([log("2025-03-05", 1, 1), log("2025-03-06", 1, 1)], period);
+    assert.equal(adherence.pdc, 1);
+    assert.equal(adherence.longestGap, null);
+});
+
+test("totals each medication by name", () => {
+    const breakdown = medicationBreakdown([
+        log("2025-03-02", 3, 2, [
+            { name: "Metformin", totalPrescribed: 2, totalConsumed: 2 },
+            { name: "Aspirin", totalPrescribed: 1, totalConsumed: 0 }
+        ]),
+        log("2025-03-03", 3, 3, [
+            { name: "Metformin", totalPrescribed: 2, totalConsumed: 3 },
+            { name: "Aspirin", totalPrescribed: 1, totalConsumed: 1 }
+        ]),
+        log("2025-03-04", 1, 1)
+    ]);
+    assert.deepEqual(breakdown, [
+        { name: "Aspirin", prescribed: 2, consumed: 1, fullDays: 1, days: 2, adherence: 0.5 },
+        { name: "Metformin", prescribed: 4, consumed: 4, fullDays: 2, days: 2, adherence: 1 }
+    ]);
+    assert.deepEqual(medicationBreakdown([log("2025-03-02", 1, 1)]), []);
+});
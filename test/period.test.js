@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import moment from "moment-timezone";
+import { resolvePeriod, daysInPeriod, fromDayStamp, filterDataByPeriod } from "../period.js";
+import { InputValidationError } from "../errors.js";
+
+const TZ = "Asia/Kolkata";
+const at = date => moment.tz(date, TZ).valueOf();
+
+test("an explicit window covers whole days in the timezone", () => {
+    const period = resolvePeriod({ from: "2025-02-01", to: "2025-02-28", timezone: TZ });
+    assert.equal(period.start, at("2025-02-01T00:00:00"));
+    assert.equal(period.end, at("2025-02-28T23:59:59.999"));
+    assert.equal(period.asOf, at("2025-02-28"));
+    assert.equal(period.explicit, true);
+    assert.equal(period.label, "01 Feb 2025 - 28 Feb 2025");
+});
+
+test("a timeframe ends on asOf and includes it", () => {
+    const period = resolvePeriod({ asOf: "2025-03-08", timeframeDays: 7, timezone: TZ });
+    assert.equal(period.start, at("2025-03-02"));
+    assert.equal(period.end, at("2025-03-08T23:59:59.999"));
+    assert.equal(period.label, "Last 7 days");
+    assert.equal(daysInPeriod(period).length, 7);
+});
+
+test("rejects bad dates and reversed windows", () => {
+    assert.throws(() => resolvePeriod({ from: "yesterday" }), InputValidationError);
+    assert.throws(() => resolvePeriod({ from: "2025-03-02", to: "2025-03-01" }), InputValidationError);
+});
+
+test("day stamps map to the same calendar day in the timezone", () => {
+    assert.equal(fromDayStamp(Date.UTC(2025, 2, 8), TZ), at("2025-03-08"));
+    assert.equal(fromDayStamp(Date.UTC(2025, 2, 8), "America/New_York"),
+        moment.tz("2025-03-08", "America/New_York").valueOf());
+});
+
+test("filters readings to the window, bounds included", () => {
+    const period = resolvePeriod({ from: "2025-03-01", to: "2025-03-01", timezone: TZ });
+    const logs = [{ measurementDate: period.start - 1 }, { measurementDate: period.start }, { measurementDate: period.end }];
+    assert.deepEqual(filterDataByPeriod(logs, period), logs.slice(1));
+});
+
+test("filters by a date accessor", () => {
+    const period = resolvePeriod({ from: "2025-03-01", to: "2025-03-01", timezone: TZ });
+    const surveys = [{ submissionDate: period.start }, { createdAt: period.end }, { createdAt: period.end + 1 }, {}];
+    assert.deepEqual(
+        filterDataByPeriod(surveys, period, survey => survey.submissionDate ?? survey.createdAt),
+        surveys.slice(0, 2)
+    );
+    assert.deepEqual(
+        filterDataByPeriod(surveys, period, survey => survey.submissionDate ?? survey.createdAt, { keepUndated: true }),
+        [...surveys.slice(0, 2), {}]
+    );
+});
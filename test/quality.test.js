@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assessDataQuality, flaggedPointStyle, FLAGGED_COLOR } from "../quality.js";
+import { resolvePeriod } from "../period.js";
+
+const HOUR = 60 * 60 * 1000;
+const period = resolvePeriod({ from: "2025-03-01", to: "2025-03-02", timezone: "UTC" });
+const reading = (hours, value) => ({ measurementDate: period.start + hours * HOUR, value });
+const heartRate = {
+    key: "heartRate",
+    group: "vitals",
+    quality: {
+        checks: [{
+            label: "Heart rate",
+            unit: " BPM",
+            value: log => log.value,
+            min: 30,
+            max: 220,
+            jump: { delta: 50, withinHours: 2 }
+        }]
+    }
+};
+const check = (logs, options) => assessDataQuality([heartRate], { vitals: { heartRate: { logs } }, sections: {} }, period, options);
+
+test("flags readings outside the plausible range", () => {
+    const logs = [reading(1, 70), reading(5, 250), reading(9, 20)];
+    const quality = check(logs);
+    assert.deepEqual(quality.flags.map(flag => [flag.value, flag.reason]), [
+        [250, "outside plausible range 30-220 BPM"],
+        [20, "outside plausible range 30-220 BPM"]
+    ]);
+    assert.equal(quality.isFlagged(logs[1]), true);
+    assert.equal(quality.isFlagged(logs[0]), false);
+    assert.equal(quality.flagsFor("heartRate").length, 2);
+    assert.deepEqual(quality.flagsFor("temperature"), []);
+});
+
+test("flags a reading that jumps away from the readings on both sides", () => {
+    const logs = [reading(1, 70), reading(1.5, 71), reading(2, 140), reading(2.5, 72), reading(3, 73)];
+    const { flags } = check(logs);
+    assert.equal(flags.length, 1);
+    assert.equal(flags[0].log, logs[2]);
+    assert.equal(flags[0].reason, "jump of over 50 BPM from neighbouring readings");
+    // neighbours further apart than `withinHours` are not compared
+    assert.deepEqual(check([reading(1, 70), reading(4, 140), reading(7, 72)]).flags, []);
+});
+
+test("checks only the window and leaves flagged readings out of statistics on request", () => {
+    const logs = [{ measurementDate: period.start - HOUR, value: 300 }, reading(1, 250), reading(2, 70)];
+    assert.deepEqual(check(logs).forStats(logs), logs);
+    const excluding = check(logs, { excludeFromStats: true });
+    assert.equal(excluding.flags.length, 1);
+    assert.deepEqual(excluding.forStats(logs), [logs[0], logs[2]]);
+});
+
+test("skips metrics without a declaration and datasets that are not supplied", () => {
+    const notes = { key: "patientNotes", group: "sections" };
+    const input = { vitals: {}, sections: { patientNotes: [{ measurementDate: period.start, value: 999 }] } };
+    assert.deepEqual(assessDataQuality([heartRate, notes], input, period).flags, []);
+});
+
+test("flags weight and height answers without a unit", () => {
+    const surveys = {
+        key: "surveys",
+        group: "sections",
+        quality: {
+            answers: data => data.flatMap(survey => survey.assessmentLogs
+                .map(question => ({ question, values: question.valueList, date: survey.submissionDate }))),
+            source: "survey"
+        }
+    };
+    const unitless = { questionType: "height", valueList: ["36"] };
+    const weighed = { questionType: "weight", valueList: ["80"], unit: "kg" };
+    const data = [
+        { submissionDate: period.start, assessmentLogs: [unitless, weighed] },
+        // outside the window
+        { submissionDate: period.start - HOUR, assessmentLogs: [{ questionType: "weight", valueList: ["80"] }] }
+    ];
+    const { flags } = assessDataQuality([surveys], { vitals: {}, sections: { surveys: data } }, period);
+    assert.deepEqual(flags.map(flag => [flag.log, flag.label, flag.value, flag.source, flag.reason]), [
+        [unitless, "Height", 36, "survey", "no unit given, so not converted or used for BMI"]
+    ]);
+});
+
+test("draws flagged readings as crosses", () => {
+    const logs = [reading(1, 70), reading(2, 250)];
+    const style = flaggedPointStyle(logs, ["#000000", "#000000"], check(logs));
+    assert.deepEqual(style.pointStyle, ["circle", "crossRot"]);
+    assert.deepEqual(style.pointBackgroundColor, ["#000000", FLAGGED_COLOR]);
+});
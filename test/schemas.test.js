@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateReportInput, formatValidationReport } from "../schemas.js";
+import {
+    temperatureData,
+    heartRateData,
+    bloodPressureData,
+    bloodGlucoseData,
+    nutritionData,
+    hydrateData,
+    weightData,
+    activityData,
+    stepData,
+    medicationData,
+    surveyData,
+    nutritionAssessmentData,
+    patientNotesData
+} from "../sample-data.js";
+
+test("accepts the sample data", () => {
+    const result = validateReportInput({
+        vitals: {
+            temperature: temperatureData,
+            heartRate: heartRateData,
+            bloodPressure: bloodPressureData,
+            bloodGlucose: bloodGlucoseData
+        },
+        sections: {
+            nutrition: nutritionData,
+            hydration: hydrateData,
+            weight: weightData,
+            activity: activityData,
+            steps: stepData,
+            medication: medicationData,
+            surveys: surveyData,
+            nutritionAssessments: nutritionAssessmentData,
+            patientNotes: patientNotesData
+        }
+    });
+    assert.deepEqual(result, { valid: true, errors: [] });
+});
+
+test("reports the path of every bad field", () => {
+    const bloodPressure = structuredClone(bloodPressureData);
+    delete bloodPressure.benchMark.systolic.lowBorderline.min;
+    bloodPressure.logs[0].systolic = "high";
+    const { valid, errors } = validateReportInput({ vitals: { bloodPressure } });
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(({ section, path }) => [section, path]), [
+        ["bloodPressure", "vitals.bloodPressure.benchMark.systolic.lowBorderline.min"],
+        ["bloodPressure", "vitals.bloodPressure.logs[0].systolic"]
+    ]);
+    assert.equal(formatValidationReport(errors).split("\n")[0],
+        "  vitals.bloodPressure.benchMark.systolic.lowBorderline.min: is required");
+});
+
+test("skips datasets that are not supplied", () => {
+    assert.equal(validateReportInput().valid, true);
+    assert.equal(validateReportInput({ vitals: { temperature: null }, sections: { weight: undefined } }).valid, true);
+});
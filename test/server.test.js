@@ -0,0 +1,108 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { patientInfo, temperatureData } from "../sample-data.js";
+
+// The server renders through report.js, which loads the canvas native module.
+const server = await import("../server.js").catch(error => {
+    if (/canvas/.test(error.message)) return null;
+    throw error;
+});
+const skip = server ? false : "the canvas native module is not built";
+
+let instance;
+let base;
+before(async () => {
+    if (skip) return;
+    instance = server.createReportServer();
+    await new Promise(resolve => instance.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${instance.address().port}`;
+});
+after(() => instance?.close());
+
+const post = (body, { type = "application/json", query = "" } = {}) => fetch(`${base}/reports${query}`, {
+    method: "POST",
+    headers: { "Content-Type": type },
+    body: typeof body === "string" ? body : JSON.stringify(body)
+});
+const bundle = { patient: patientInfo, vitals: { temperature: temperatureData }, timeframeDays: 90 };
+
+test("answers a report request with the PDF", { skip }, async () => {
+    const response = await post(bundle);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "application/pdf");
+    const pdf = Buffer.from(await response.arrayBuffer());
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("rejects bodies that are not JSON objects", { skip }, async () => {
+    assert.equal((await post("{}", { type: "text/plain" })).status, 415);
+    assert.equal((await post("{not json")).status, 400);
+    assert.equal((await post([])).status, 400);
+});
+
+test("answers invalid datasets with a 400 naming the fields", { skip }, async () => {
+    const response = await post({ patient: patientInfo, vitals: { temperature: { logs: "none" } } });
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.error, "InputValidationError");
+    assert.ok(body.details.some(detail => detail.path.startsWith("vitals.temperature")));
+    assert.equal((await post({ ...bundle, timezone: "Mars/Olympus_Mons" })).status, 400);
+});
+
+test("renders in the background when asked to", { skip }, async () => {
+    const response = await post(bundle, { query: "?mode=async" });
+    assert.equal(response.status, 202);
+    const location = response.headers.get("location");
+    let job = await response.json();
+    assert.equal(location, `/reports/${job.id}`);
+    while (job.status === "running") {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = await (await fetch(base + location)).json();
+    }
+    assert.equal(job.status, "done");
+    const pdf = await fetch(base + job.pdfUrl);
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+});
+
+test("fails a background job whose input does not validate", { skip }, async () => {
+    const invalid = { patient: patientInfo, vitals: { temperature: { logs: "none" } } };
+    const response = await post(invalid, { query: "?mode=async" });
+    assert.equal(response.status, 202);
+    let job = await response.json();
+    while (job.status === "running") {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = await (await fetch(`${base}/reports/${job.id}`)).json();
+    }
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.error, "InputValidationError");
+    assert.ok(job.error.details.some(detail => detail.path.startsWith("vitals.temperature")));
+});
+
+test("forgets finished jobs once they are older than jobTtlMs", { skip }, async t => {
+    const shortLived = server.createReportServer({ jobTtlMs: 0 });
+    await new Promise(resolve => shortLived.listen(0, "127.0.0.1", resolve));
+    t.after(() => shortLived.close());
+    const jobUrl = id => `http://127.0.0.1:${shortLived.address().port}/reports/${id}`;
+    const response = await fetch(`http://127.0.0.1:${shortLived.address().port}/reports?mode=async`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(bundle)
+    });
+    let job = await response.json();
+    while (job.status === "running") {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = await (await fetch(jobUrl(job.id))).json();
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal((await fetch(jobUrl(job.id))).status, 404);
+});
+
+test("reports its health and 404s unknown routes and jobs", { skip }, async () => {
+    const health = await fetch(`${base}/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).status, "ok");
+    assert.equal((await fetch(`${base}/reports/unknown`)).status, 404);
+    assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+    assert.equal((await fetch(`${base}/reports`)).status, 405);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarize, mapSummary } from "../statistics.js";
+
+const reading = (measurementDate, value) => ({ measurementDate, value });
+
+test("summarises the readings it is given", () => {
+    const stats = summarize([reading(3, 70), reading(1, 90), reading(2, 70), reading(4, 80)]);
+    assert.equal(stats.count, 4);
+    assert.deepEqual(stats.current, { value: 80, date: 4 });
+    assert.equal(stats.mean, 77.5);
+    assert.equal(stats.median, 75);
+    assert.equal(stats.stdDev.toFixed(2), "9.57");
+    // ties go to the earliest reading
+    assert.deepEqual(stats.min, { value: 70, date: 2 });
+    assert.deepEqual(stats.max, { value: 90, date: 1 });
+});
+
+test("ignores values that are not finite numbers", () => {
+    const stats = summarize([reading(1, 60), reading(2, null), reading(3, "72"), reading(4, NaN)]);
+    assert.equal(stats.count, 1);
+    assert.equal(stats.stdDev, 0);
+    assert.deepEqual(summarize([]), {
+        count: 0, current: null, mean: null, median: null, stdDev: null, min: null, max: null
+    });
+});
+
+test("reads values and dates through the accessors", () => {
+    const stats = summarize([{ consumed: 1800, createdAt: 2 }, { consumed: 2200, createdAt: 1 }], {
+        value: log => log.consumed,
+        date: log => log.createdAt
+    });
+    assert.deepEqual(stats.current, { value: 1800, date: 2 });
+});
+
+test("maps a summary through a linear conversion", () => {
+    const celsius = summarize([reading(1, 98.6), reading(2, 100.4)]);
+    const toC = f => (f - 32) * 5 / 9;
+    const mapped = mapSummary(celsius, toC);
+    assert.equal(mapped.mean.toFixed(1), "37.5");
+    assert.equal(mapped.current.value.toFixed(1), "38.0");
+    assert.equal(mapped.stdDev.toFixed(3), (celsius.stdDev * 5 / 9).toFixed(3));
+    assert.equal(mapSummary(summarize([]), toC).mean, null);
+});
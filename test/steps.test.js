@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dailyTotalsBySource, selectDailySteps } from "../steps.js";
+
+const TZ = "UTC";
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const log = (measurementDate, value, source) => ({ measurementDate, value, source: { name: source } });
+
+test("totals each source per calendar day", () => {
+    const bySource = dailyTotalsBySource([
+        log(8 * HOUR, 200, "restore-me"),
+        log(9 * HOUR, 400, "restore-me"),
+        log(DAY + HOUR, 50, "restore-me"),
+        log(10 * HOUR, 1000, "apple-hk")
+    ], TZ);
+    assert.deepEqual(bySource.get("restore-me").get(0), { total: 600, first: 8 * HOUR, last: 9 * HOUR });
+    assert.equal(bySource.get("restore-me").get(DAY).total, 50);
+    assert.equal(bySource.get("apple-hk").get(0).total, 1000);
+});
+
+const twoSources = () => dailyTotalsBySource([
+    log(8 * HOUR, 3000, "apple-hk"),
+    log(12 * HOUR, 3000, "apple-hk"),
+    log(10 * HOUR, 5000, "garmin-connect"),
+    log(18 * HOUR, 1000, "restore-me"),
+    log(DAY + HOUR, 700, "restore-me")
+], TZ);
+
+test("preferred policy takes the first listed source with steps that day", () => {
+    const { days, sources } = selectDailySteps(twoSources(), { policy: "preferred" });
+    assert.deepEqual(days, [
+        { day: 0, value: 5000, sources: ["garmin-connect"] },
+        { day: DAY, value: 700, sources: ["restore-me"] }
+    ]);
+    assert.deepEqual(sources, ["garmin-connect", "restore-me"]);
+});
+
+test("max policy takes the largest source total", () => {
+    const { days } = selectDailySteps(twoSources(), { policy: "max" });
+    assert.equal(days[0].value, 6000);
+    assert.deepEqual(days[0].sources, ["apple-hk"]);
+});
+
+test("sum policy adds only sources whose spans do not overlap", () => {
+    const { days } = selectDailySteps(twoSources(), { policy: "sum" });
+    // garmin (10:00) falls inside apple's 08:00-12:00 span; restore-me (18:00) does not
+    assert.equal(days[0].value, 6000);
+    assert.deepEqual(days[0].sources, ["garmin-connect", "restore-me"]);
+});
+
+test("a custom source order changes the preferred source", () => {
+    const { days } = selectDailySteps(twoSources(), { policy: "preferred", sources: ["restore-me", "apple-hk"] });
+    assert.equal(days[0].value, 1000);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    symptomName,
+    ratingValue,
+    ratingLabel,
+    ratingPercent,
+    isCriticalRating,
+    symptomSeries,
+    criticalSymptoms
+} from "../symptoms.js";
+
+const scale = [
+    { index: 0, label: "None" },
+    { index: 1, label: "Mild" },
+    { index: 2, label: "Moderate" },
+    { index: 3, label: "Severe" },
+    { index: 4, label: "Very Severe" }
+];
+const rating = (question, severity, extra = {}) => ({
+    question,
+    questionType: "scale_rating",
+    scaleOptions: scale,
+    severity,
+    criticalThresholdPercentage: 75,
+    ...extra
+});
+const survey = (submissionDate, assessmentLogs) => ({ submissionDate, assessmentLogs });
+
+test("names the symptom from the question", () => {
+    assert.equal(symptomName({ question: "How severe was your nausea?" }), "Nausea");
+    assert.equal(symptomName({ question: "Fatigue today" }), "Fatigue today");
+    assert.equal(symptomName({ question: "How severe was your pain?", symptomName: " Back pain " }), "Back pain");
+});
+
+test("reads the rating against its scale", () => {
+    const question = rating("How severe was your pain?", 2);
+    assert.equal(ratingValue(question), 2);
+    assert.equal(ratingValue({ valueList: ["3"] }), 3);
+    assert.equal(ratingValue({ valueList: [] }), null);
+    assert.equal(ratingLabel(question, 2), "2 – Moderate");
+    assert.equal(ratingLabel(question, 7), "7");
+    assert.equal(ratingPercent(question), 50);
+    assert.equal(ratingPercent({ ...question, ratingPercentage: 40 }), 40);
+});
+
+test("a rating is critical from its threshold or when the app flagged it", () => {
+    assert.equal(isCriticalRating(rating("q", 3)), true);
+    assert.equal(isCriticalRating(rating("q", 2)), false);
+    assert.equal(isCriticalRating(rating("q", 1, { isCritical: true })), true);
+    assert.equal(isCriticalRating(rating("q", 4, { criticalThresholdPercentage: undefined })), false);
+});
+
+test("collects each symptom's ratings across surveys, oldest first", () => {
+    const series = symptomSeries([
+        survey(3, [rating("How severe was your Pain?", 3), rating("How severe was your nausea?", 1)]),
+        survey(1, [rating("How severe was your pain?", 1), { question: "Notes", questionType: "text" }]),
+        { createdAt: 2, assessmentLogs: [rating("How severe was your pain?", null)] },
+        survey(null, [rating("How severe was your pain?", 4)])
+    ]);
+    assert.deepEqual(series.map(({ name, points }) => [name, points.map(point => [point.date, point.value])]), [
+        ["Pain", [[1, 1], [3, 3]]],
+        ["Nausea", [[3, 1]]]
+    ]);
+    assert.equal(series[0].points[1].critical, true);
+    assert.equal(series[0].points[1].label, "3 – Severe");
+});
+
+test("lists symptoms rated critical, most recent first", () => {
+    const series = symptomSeries([
+        survey(1, [rating("How severe was your pain?", 4), rating("How severe was your nausea?", 1)]),
+        survey(2, [rating("How severe was your fatigue?", 3), rating("How severe was your pain?", 1)]),
+        survey(3, [rating("How severe was your nausea?", 1)])
+    ]);
+    assert.deepEqual(criticalSymptoms(series).map(({ name, latest, count }) => [name, latest.date, count]), [
+        ["Fatigue", 2, 1],
+        ["Pain", 1, 1]
+    ]);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseUnit,
+    convertUnit,
+    resolveUnits,
+    validateUnits,
+    normaliseUnits,
+    answerUnit,
+    isAmbiguousMeasurement,
+    formatAnswer
+} from "../units.js";
+import { InputValidationError } from "../errors.js";
+
+const close = (actual, expected, digits = 2) => assert.equal(actual.toFixed(digits), expected.toFixed(digits));
+
+test("parses unit names and aliases", () => {
+    assert.equal(parseUnit("temperature", "Celsius"), "C");
+    assert.equal(parseUnit("weight", " LB "), "lbs");
+    assert.equal(parseUnit("glucose", "mmol/l"), "mmol/L");
+    assert.equal(parseUnit("weight", "cm"), null);
+});
+
+test("converts between units", () => {
+    close(convertUnit("temperature", 37, "C", "F"), 98.6);
+    close(convertUnit("temperature", 98.6, "F", "C"), 37);
+    close(convertUnit("weight", 100, "kg", "lbs"), 220.46);
+    close(convertUnit("glucose", 5.5, "mmol/L", "mg/dL"), 99.09);
+    assert.equal(convertUnit("length", 170, "cm", "cm"), 170);
+});
+
+test("resolves unit systems with overrides", () => {
+    const units = resolveUnits({ system: "metric", glucose: "mmol/L" });
+    assert.equal(units.temperature, "C");
+    assert.equal(units.glucose, "mmol/L");
+    assert.equal(units.format("temperature", 98.6), "37.0°C");
+    assert.equal(units.format("weight", 80), "80.0 kg");
+    close(units.delta("temperature", 1.8), 1);
+
+    const defaults = resolveUnits();
+    assert.equal(defaults.weight, "lbs");
+    assert.equal(resolveUnits({ weight: undefined }).weight, "lbs");
+});
+
+test("rejects unknown systems and units", () => {
+    assert.throws(() => validateUnits("nautical"), InputValidationError);
+    assert.throws(() => validateUnits({ weight: "stone" }), InputValidationError);
+    assert.throws(() => validateUnits({ speed: "kph" }), InputValidationError);
+    assert.doesNotThrow(() => validateUnits({ system: "imperial", glucose: "mmol/L" }));
+});
+
+test("normalises datasets from their source unit", () => {
+    const metrics = [{
+        key: "temperature",
+        group: "vitals",
+        units: {
+            quantity: "temperature",
+            convert: (data, fn) => ({ ...data, logs: data.logs.map(log => ({ ...log, value: fn(log.value) })) })
+        }
+    }];
+    const input = { vitals: { temperature: { unit: "C", logs: [{ value: 37 }] } }, sections: {} };
+    const { temperature } = normaliseUnits(metrics, input).vitals;
+    close(temperature.logs[0].value, 98.6);
+    assert.equal(temperature.unit, "°F");
+    assert.throws(
+        () => normaliseUnits(metrics, { vitals: { temperature: { unit: "K", logs: [] } }, sections: {} }),
+        InputValidationError
+    );
+});
+
+test("recognises weight and height questions by whole words", () => {
+    assert.equal(answerUnit({ questionType: "WEIGHT_SIX_MONTHS_AGO", unit: "lbs" }).quantity, "weight");
+    assert.deepEqual(answerUnit({ question: "What is your height?", unit: "cm" }), { quantity: "length", unit: "cm" });
+    assert.equal(answerUnit({ question: "Heightened anxiety in the last week?" }), null);
+    assert.equal(answerUnit({ question: "Do you do weightlifting?", questionType: "MCQ" }), null);
+    assert.equal(answerUnit({ questionType: "CURRENT_WEIGHT", unit: "cm" }), null);
+});
+
+test("treats numeric measurement answers without a unit as ambiguous", () => {
+    assert.deepEqual(answerUnit({ questionType: "CURRENT_HEIGHT" }), { quantity: "length", unit: null });
+    assert.equal(isAmbiguousMeasurement("36", { questionType: "CURRENT_HEIGHT" }), true);
+    assert.equal(isAmbiguousMeasurement("36", { questionType: "CURRENT_HEIGHT", unit: "in" }), false);
+    assert.equal(isAmbiguousMeasurement("unknown", { questionType: "CURRENT_HEIGHT" }), false);
+    assert.equal(isAmbiguousMeasurement("3", { questionType: "MCQ" }), false);
+});
+
+test("formats measurement answers in the preferred units", () => {
+    const units = resolveUnits("metric");
+    assert.equal(formatAnswer("176.4", { questionType: "CURRENT_WEIGHT", unit: "lbs" }, units), "80.0 kg");
+    assert.equal(formatAnswer("178", { questionType: "CURRENT_HEIGHT", unit: "cm" }, units), "178 cm");
+    assert.equal(formatAnswer("176.4", { questionType: "CURRENT_WEIGHT" }, units), "176.4");
+    assert.equal(formatAnswer("YES", { questionType: "MCQ" }, units), "YES");
+});
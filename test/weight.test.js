@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import moment from "moment-timezone";
+import {
+    bmi,
+    classifyBmi,
+    isPlausibleBmi,
+    weightForBmi,
+    resolveHeight,
+    weightChange,
+    movingAverage,
+    targetWeight
+} from "../weight.js";
+
+test("computes and classifies BMI", () => {
+    assert.equal(bmi(80, 200), 20);
+    assert.equal(classifyBmi(18.4).key, "underweight");
+    assert.equal(classifyBmi(18.5).key, "normal");
+    assert.equal(classifyBmi(30).key, "obese");
+    assert.equal(weightForBmi(25, 200), 100);
+    assert.equal(isPlausibleBmi(bmi(116, 91)), false);
+    assert.equal(isPlausibleBmi(5), false);
+    assert.equal(isPlausibleBmi(null), false);
+});
+
+test("reads height from an assessment answer in its unit", () => {
+    const assessments = [{
+        createdAt: 1000,
+        userAssessmentLog: [{ assessment: [{ questionType: "CURRENT_HEIGHT", value: ["70"], unit: "in" }] }]
+    }];
+    const height = resolveHeight({ height: 150 }, assessments);
+    assert.equal(height.cm, 177.8);
+    assert.equal(height.source, "nutrition assessment");
+});
+
+test("skips height answers without a unit", () => {
+    const assessments = [{
+        createdAt: 1000,
+        userAssessmentLog: [{ assessment: [{ questionType: "CURRENT_HEIGHT", value: ["70"] }] }]
+    }];
+    assert.deepEqual(resolveHeight({ height: 150 }, assessments), { cm: 150, source: "patient details", date: null });
+});
+
+test("takes the height from the latest assessment, not the question's updatedAt", () => {
+    const answer = value => ({ questionType: "CURRENT_HEIGHT", value: [value], unit: "cm", updatedAt: 500 });
+    const assessments = [
+        { createdAt: 1000, userAssessmentLog: [{ assessment: [answer("178")] }] },
+        { createdAt: 3000, userAssessmentLog: [{ assessment: [answer("91")] }] },
+        { createdAt: 2000, userAssessmentLog: [{ assessment: [answer("120")] }] }
+    ];
+    assert.deepEqual(resolveHeight(null, assessments), { cm: 91, source: "nutrition assessment", date: 3000 });
+});
+
+test("falls back to the patient's height", () => {
+    assert.deepEqual(resolveHeight({ height: 165 }, []), { cm: 165, source: "patient details", date: null });
+    assert.equal(resolveHeight({}, undefined), null);
+});
+
+test("measures change against the reading closest to the period", () => {
+    const now = moment.utc("2025-03-01").valueOf();
+    const logs = [
+        { value: 100, createdAt: moment.utc("2025-01-25").valueOf() },
+        { value: 90, createdAt: moment.utc("2025-02-02").valueOf() }
+    ];
+    const change = weightChange(logs, { value: 81, date: now }, { months: 1, toleranceDays: 7 });
+    assert.equal(change.from.value, 90);
+    assert.equal(change.percent, -10);
+    assert.equal(weightChange(logs, { value: 81, date: now }, { months: 6, toleranceDays: 30 }), null);
+});
+
+test("averages readings within the window", () => {
+    const day = 24 * 60 * 60 * 1000;
+    const average = movingAverage([{ date: 0, value: 10 }, { date: day, value: 20 }, { date: 10 * day, value: 40 }], 7);
+    assert.deepEqual(average.map(point => point.value), [15, 15, 40]);
+});
+
+test("takes the latest goal, then goalAverage", () => {
+    assert.equal(targetWeight({ goalAverage: 70 }, [{ goal: 75, createdAt: 1 }, { goal: 72, createdAt: 2 }]), 72);
+    assert.equal(targetWeight({ goalAverage: 70 }, [{ goal: 0, createdAt: 1 }]), 70);
+    assert.equal(targetWeight({ goalAverage: 0 }, []), null);
+});
@@ -0,0 +1,236 @@
+import { InputValidationError } from "./errors.js";
+
+// Units of measure. Every dataset is normalised to the CANONICAL unit of its
+// quantity before the report is drawn (the units the plausibility checks,
+// benchmarks and clinical formulas are written in), then sections convert
+// values to the report's preferred units for display.
+//
+// Metrics opt in with a `units` declaration on their registry entry:
+//
+//   units: {
+//     quantity         "temperature", "weight", "glucose", ...
+//     convert(data, fn) the dataset with every value of that quantity
+//                      (readings, goals, benchmarks) passed through `fn`
+//   }
+//
+// The source unit is read from the dataset's `unit`; datasets without one are
+// taken to be in the canonical unit.
+
+// Each unit converts to the canonical one as value * factor + offset.
+export const QUANTITIES = {
+    temperature: {
+        canonical: "F",
+        units: {
+            F: { label: "°F", factor: 1, offset: 0, aliases: ["f", "°f", "degf", "fahrenheit"] },
+            C: { label: "°C", factor: 1.8, offset: 32, aliases: ["c", "°c", "degc", "celsius"] }
+        }
+    },
+    weight: {
+        canonical: "kg",
+        units: {
+            kg: { label: "kg", factor: 1, offset: 0, aliases: ["kg", "kgs", "kilogram", "kilograms"] },
+            lbs: { label: "lbs", factor: 1 / 2.20462, offset: 0, aliases: ["lb", "lbs", "pound", "pounds"] }
+        }
+    },
+    length: {
+        canonical: "cm",
+        units: {
+            cm: { label: "cm", factor: 1, offset: 0, aliases: ["cm", "centimeter", "centimeters", "centimetre", "centimetres"] },
+            m: { label: "m", factor: 100, offset: 0, aliases: ["m", "meter", "meters", "metre", "metres"] },
+            in: { label: "in", factor: 2.54, offset: 0, aliases: ["in", "inch", "inches"] }
+        }
+    },
+    glucose: {
+        canonical: "mg/dL",
+        units: {
+            "mg/dL": { label: "mg/dL", factor: 1, offset: 0, aliases: ["mg/dl"] },
+            "mmol/L": { label: "mmol/L", factor: 18.016, offset: 0, aliases: ["mmol/l"] }
+        }
+    },
+    volume: {
+        canonical: "ml",
+        units: {
+            ml: { label: "ml", factor: 1, offset: 0, aliases: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"] },
+            "fl oz": { label: "fl oz", factor: 29.5735, offset: 0, aliases: ["fl oz", "floz", "fl. oz", "oz"] }
+        }
+    }
+};
+
+// Display units when the `units` option is not given; these are the units the
+// report has always printed.
+export const DEFAULT_UNITS = {
+    temperature: "F",
+    weight: "lbs",
+    length: "in",
+    glucose: "mg/dL",
+    volume: "ml"
+};
+
+// Shorthands for the `units` option. Glucose is not part of either system;
+// set it on its own.
+export const UNIT_SYSTEMS = {
+    metric: { temperature: "C", weight: "kg", length: "cm", volume: "ml" },
+    imperial: { temperature: "F", weight: "lbs", length: "in", volume: "fl oz" }
+};
+
+// The unit key ("C", "lbs", ...) a unit name from the data stands for, or
+// null when it is not a unit of `quantity`.
+export function parseUnit(quantity, name) {
+    if (typeof name !== "string") return null;
+    const wanted = name.trim().toLowerCase().replace(/\s+/g, " ");
+    const { units } = QUANTITIES[quantity];
+    return Object.keys(units).find(key => key.toLowerCase() === wanted || units[key].aliases.includes(wanted)) || null;
+}
+
+export function convertUnit(quantity, value, from, to) {
+    if (typeof value !== "number" || from === to) return value;
+    const { units } = QUANTITIES[quantity];
+    const canonical = value * units[from].factor + units[from].offset;
+    return (canonical - units[to].offset) / units[to].factor;
+}
+
+// Resolves the `units` report option ("metric", "imperial" or
+// { system, temperature, weight, ... }) into a converter from canonical
+// units:
+//
+//   units[quantity]       the preferred unit key
+//   label(quantity)       "°C", "kg", ...
+//   suffix(quantity)      what to append to a number: "°C", " kg"
+//   convert(quantity, v)  canonical value to the preferred unit
+//   delta(quantity, v)    a canonical difference to the preferred unit
+//   format(quantity, v, digits)  converted value with its suffix
+export function resolveUnits(option = {}) {
+    const { system, ...overrides } = typeof option === "string" ? { system: option } : option;
+    const chosen = Object.fromEntries(Object.entries(overrides).filter(([, unit]) => unit !== undefined));
+    const preferred = { ...DEFAULT_UNITS, ...UNIT_SYSTEMS[system], ...chosen };
+    const canonical = quantity => QUANTITIES[quantity].canonical;
+    const units = {
+        ...preferred,
+        label: quantity => QUANTITIES[quantity].units[preferred[quantity]].label,
+        suffix: quantity => {
+            const label = units.label(quantity);
+            return label.startsWith("°") ? label : ` ${label}`;
+        },
+        convert: (quantity, value) => convertUnit(quantity, value, canonical(quantity), preferred[quantity]),
+        delta: (quantity, value) => (
+            typeof value === "number" ? value / QUANTITIES[quantity].units[preferred[quantity]].factor : value
+        ),
+        format: (quantity, value, digits = 1) => `${units.convert(quantity, value).toFixed(digits)}${units.suffix(quantity)}`
+    };
+    return units;
+}
+
+// Questions whose answer is a body measurement, by a word of their
+// questionType (CURRENT_WEIGHT, WEIGHT_SIX_MONTHS_AGO) or of their wording.
+const ANSWER_QUANTITIES = [
+    { type: /(^|_)WEIGHT(_|$)/i, wording: /\bweight\b/i, quantity: "weight" },
+    { type: /(^|_)HEIGHT(_|$)/i, wording: /\bheight\b/i, quantity: "length" }
+];
+
+// The quantity a survey or assessment question measures and the unit its
+// answers are in: { quantity, unit }, with `unit` null when the question has
+// none. The app has recorded such answers in both metric and imperial units,
+// so a unit-less answer is ambiguous: it is shown as entered, not used for
+// BMI or scoring, and listed under Data quality. Null for questions that are
+// not measurements or whose `unit` belongs to another quantity.
+export function answerUnit(question) {
+    const match = ANSWER_QUANTITIES.find(({ type, wording }) => (
+        type.test(question.questionType || "") || wording.test(question.question || "")
+    ));
+    if (!match) return null;
+    if (!question.unit) return { quantity: match.quantity, unit: null };
+    const unit = parseUnit(match.quantity, question.unit);
+    return unit ? { quantity: match.quantity, unit } : null;
+}
+
+const NUMERIC_ANSWER = /^-?[0-9]+(\.[0-9]+)?$/;
+
+// Whether an answer is a number given for a measurement question without a
+// unit (see answerUnit).
+export function isAmbiguousMeasurement(answer, question) {
+    return NUMERIC_ANSWER.test(String(answer).trim()) && answerUnit(question)?.unit === null;
+}
+
+// A survey or assessment answer for display. Numeric weight and height
+// answers are converted to the preferred unit (see answerUnit) and shown as
+// entered when their question has no unit; other numeric answers keep their
+// `unit`.
+export function formatAnswer(answer, question, units) {
+    if (!NUMERIC_ANSWER.test(answer)) return answer;
+    const measured = answerUnit(question);
+    if (!measured) return question.unit ? `${answer} ${question.unit}` : answer;
+    const { quantity, unit: from } = measured;
+    if (!from) return answer;
+    if (from === units[quantity]) return `${answer}${units.suffix(quantity)}`;
+    const value = convertUnit(quantity, Number(answer), from, units[quantity]);
+    return `${Number.isInteger(value) ? value : value.toFixed(1)}${units.suffix(quantity)}`;
+}
+
+// Checks the `units` option; throws an InputValidationError naming the bad key.
+export function validateUnits(option) {
+    if (typeof option === "string") {
+        if (!UNIT_SYSTEMS[option]) {
+            throw new InputValidationError(`\`units\` must be one of ${Object.keys(UNIT_SYSTEMS).join(", ")} or an object`);
+        }
+        return;
+    }
+    if (option === null || typeof option !== "object") {
+        throw new InputValidationError("`units` must be a unit system name or an object");
+    }
+    for (const [key, value] of Object.entries(option)) {
+        if (key === "system") {
+            if (!UNIT_SYSTEMS[value]) {
+                throw new InputValidationError(`\`units.system\` must be one of ${Object.keys(UNIT_SYSTEMS).join(", ")}`);
+            }
+        } else if (!QUANTITIES[key]) {
+            throw new InputValidationError(`\`units.${key}\` is not a known quantity`);
+        } else if (!QUANTITIES[key].units[value]) {
+            throw new InputValidationError(
+                `\`units.${key}\` must be one of ${Object.keys(QUANTITIES[key].units).join(", ")}`
+            );
+        }
+    }
+}
+
+// The source unit of a dataset, from its `unit` field (canonical when it has
+// none). Throws an InputValidationError for a unit of the wrong quantity.
+function sourceUnit(metric, data) {
+    const { quantity } = metric.units;
+    if (data.unit === undefined) return QUANTITIES[quantity].canonical;
+    const unit = parseUnit(quantity, data.unit);
+    if (!unit) {
+        throw new InputValidationError(
+            `\`${metric.group}.${metric.key}.unit\`: unknown ${quantity} unit "${data.unit}"`,
+            { section: metric.key }
+        );
+    }
+    return unit;
+}
+
+// Checks the source unit of every supplied dataset that declares `units`.
+export function validateSourceUnits(metrics, input) {
+    for (const metric of metrics) {
+        const data = input[metric.group]?.[metric.key];
+        if (data != null && metric.units) sourceUnit(metric, data);
+    }
+}
+
+// Converts every supplied dataset whose metric declares `units` from its
+// source unit to the canonical unit. Returns the input with those datasets
+// replaced.
+export function normaliseUnits(metrics, input) {
+    const result = { vitals: { ...input.vitals }, sections: { ...input.sections } };
+    for (const metric of metrics) {
+        const data = input[metric.group][metric.key];
+        if (data == null || !metric.units) continue;
+        const { quantity, convert } = metric.units;
+        const from = sourceUnit(metric, data);
+        const to = QUANTITIES[quantity].canonical;
+        if (from === to) continue;
+        result[metric.group][metric.key] = {
+            ...convert(data, value => convertUnit(quantity, value, from, to)),
+            unit: QUANTITIES[quantity].units[to].label
+        };
+    }
+    return result;
+}
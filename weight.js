@@ -0,0 +1,111 @@
+import moment from "moment-timezone";
+import { COLORS } from "./palette.js";
+import { answerUnit, convertUnit } from "./units.js";
+
+// Weight trend figures: BMI from the patient's height, percentage change over
+// the periods nutrition screening asks about (WEIGHT_ONE_MONTH_AGO,
+// WEIGHT_SIX_MONTHS_AGO) and a smoothed trend. Weights are in kg, the
+// canonical unit (see units.js).
+
+// WHO adult BMI categories, lowest first; `max` is exclusive.
+export const BMI_CATEGORIES = [
+    { key: "underweight", label: "Underweight", min: 0, max: 18.5, color: COLORS.borderline },
+    { key: "normal", label: "Normal", min: 18.5, max: 25, color: COLORS.normal },
+    { key: "overweight", label: "Overweight", min: 25, max: 30, color: COLORS.borderline },
+    { key: "obese", label: "Obese", min: 30, max: Infinity, color: COLORS.outlier }
+];
+
+// Reference reading for each change: the log closest to `months` before the
+// latest one, no further than `toleranceDays` from that date.
+export const WEIGHT_CHANGE_PERIODS = [
+    { key: "oneMonth", label: "1 month", months: 1, toleranceDays: 7 },
+    { key: "sixMonths", label: "6 months", months: 6, toleranceDays: 30 }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// BMIs outside this range come from a mistyped or misread weight or height
+// and are not reported.
+export const PLAUSIBLE_BMI = { min: 10, max: 80 };
+
+export function bmi(kg, heightCm) {
+    const metres = heightCm / 100;
+    return kg / (metres * metres);
+}
+
+export function isPlausibleBmi(value) {
+    return typeof value === "number" && value >= PLAUSIBLE_BMI.min && value <= PLAUSIBLE_BMI.max;
+}
+
+export function classifyBmi(value) {
+    return BMI_CATEGORIES.find(category => value < category.max) || BMI_CATEGORIES[BMI_CATEGORIES.length - 1];
+}
+
+// The weight in kg at which a BMI is reached for this height.
+export function weightForBmi(value, heightCm) {
+    return value * (heightCm / 100) ** 2;
+}
+
+// Height in cm from the CURRENT_HEIGHT answer of the most recent nutrition
+// assessment, falling back to `patient.height` (cm). Returns
+// { cm, source, date } or null when neither has a usable height; `date` is
+// when the assessment was taken. (A question's own updatedAt is the
+// question template's timestamp, not the answer's.)
+export function resolveHeight(patient, assessments) {
+    const answers = (Array.isArray(assessments) ? assessments : [])
+        .flatMap(assessment => (assessment.userAssessmentLog || [])
+            .flatMap(log => log.assessment || [])
+            .filter(question => question.questionType === "CURRENT_HEIGHT")
+            .map(question => ({ question, date: assessment.createdAt ?? null })))
+        .sort((a, b) => (b.date ?? 0) - (a.date ?? 0));
+    for (const { question, date } of answers) {
+        const value = parseFloat((question.value || [])[0]);
+        const unit = answerUnit(question)?.unit;
+        if (value > 0 && unit) return { cm: convertUnit("length", value, unit, "cm"), source: "nutrition assessment", date };
+    }
+    const height = Number(patient?.height);
+    return height > 0 ? { cm: height, source: "patient details", date: null } : null;
+}
+
+// Percentage change from the reading closest to `months` before `current`
+// ({ value, date }); null when no log is close enough to that date.
+export function weightChange(logs, current, { months, toleranceDays }, date = log => log.createdAt) {
+    const target = moment(current.date).subtract(months, "months").valueOf();
+    let best = null;
+    for (const log of logs) {
+        const distance = Math.abs(date(log) - target);
+        if (distance <= toleranceDays * DAY && (!best || distance < best.distance)) {
+            best = { log, distance };
+        }
+    }
+    if (!best) return null;
+    const from = { value: best.log.value, date: date(best.log) };
+    return { from, percent: ((current.value - from.value) / from.value) * 100 };
+}
+
+// Centred moving average of `readings` ({ value, date }, oldest first) over
+// `windowDays`, one point per reading.
+export function movingAverage(readings, windowDays = 7) {
+    const half = (windowDays * DAY) / 2;
+    return readings.map(reading => {
+        const near = readings.filter(r => Math.abs(r.date - reading.date) <= half);
+        return { date: reading.date, value: near.reduce((sum, r) => sum + r.value, 0) / near.length };
+    });
+}
+
+// The target weight in kg: the goal of the latest log that has one, else the
+// dataset's goalAverage; null when both are zero or missing.
+export function targetWeight(data, logs) {
+    const withGoal = logs.filter(log => log.goal > 0).sort((a, b) => b.createdAt - a.createdAt);
+    if (withGoal.length) return withGoal[0].goal;
+    return data.goalAverage > 0 ? data.goalAverage : null;
+}
+
+// Point colour against a target weight: within 2% is on target, within 5%
+// borderline, anything further off an outlier.
+export function classifyAgainstGoal(value, goal) {
+    const offBy = Math.abs(value - goal) / goal;
+    if (offBy <= 0.02) return COLORS.normal;
+    if (offBy <= 0.05) return COLORS.borderline;
+    return COLORS.outlier;
+}